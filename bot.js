@@ -3,20 +3,33 @@
  * Sends messages to groups from your account
  */
 
-import { TelegramClient } from "telegram";
-import { StringSession } from "telegram/sessions/index.js";
-import { NewMessage } from "telegram/events/index.js";
 import * as readline from "readline";
 import * as fs from "fs";
 import * as path from "path";
 import { fileURLToPath } from "url";
 import dotenv from "dotenv";
-import { config } from "./config.js";
-import { Api } from "telegram/tl/index.js";
+import { configFileFrom, loadConfig, watchConfig } from "./src/configLoader.js";
+import { createBot } from "./src/bot.js";
+import { createTelegramTransport } from "./src/transport.js";
+import { deliveriesToCsv } from "./src/deliveryLog.js";
+import { startAdminApi } from "./src/adminApi.js";
+import { startHealthServer } from "./src/health.js";
+import { loginWithCode, loginWithQrCode } from "./src/login.js";
+import { loadSession, saveSession as writeSessionFile } from "./src/sessionStore.js";
 
 // Load environment variables
 dotenv.config();
 
+// config.js with env and --set overrides; all problems are reported together
+const configOptions = { file: configFileFrom(process.argv), env: process.env, argv: process.argv.slice(2) };
+let config;
+try {
+  config = await loadConfig(configOptions);
+} catch (error) {
+  console.error(`❌ ${error.message}`);
+  process.exit(1);
+}
+
 const __dirname = path.dirname(fileURLToPath(import.meta.url));
 const sessionDir = path.join(__dirname, config.sessionDir);
 const sessionFile = path.join(sessionDir, "session.txt");
@@ -26,39 +39,71 @@ if (!fs.existsSync(sessionDir)) {
   fs.mkdirSync(sessionDir, { recursive: true });
 }
 
+// Passphrase the session file is encrypted with; without it the file is stored in plaintext
+const sessionPassphrase = process.env.SESSION_PASSPHRASE || "";
+
 // Read or create session (prefer env for deployments like Railway)
 let sessionString = process.env.SESSION_STRING || "";
-if (!sessionString && fs.existsSync(sessionFile)) {
-  sessionString = fs.readFileSync(sessionFile, "utf-8");
+if (!sessionString) {
+  try {
+    const stored = loadSession(sessionFile, sessionPassphrase);
+    sessionString = stored.session;
+    // Encrypt sessions saved by older versions in place
+    if (stored.plaintext && sessionPassphrase) {
+      writeSessionFile(sessionFile, sessionString, sessionPassphrase);
+      console.log("🔒 Encrypted the existing session file with SESSION_PASSPHRASE");
+    } else if (stored.plaintext) {
+      console.log("⚠️ The session file is stored in plaintext. Set SESSION_PASSPHRASE to encrypt it.");
+    }
+  } catch (error) {
+    console.error(`❌ ${error.message}`);
+    process.exit(1);
+  }
 }
 
-const apiId = parseInt(process.env.API_ID);
-const apiHash = process.env.API_HASH;
-const phoneNumber = process.env.PHONE_NUMBER;
+// `npm run login` / --export-session: log in if needed, print the session string and exit
+const exportSession = process.argv.includes("--login") || process.argv.includes("--export-session");
+// --qr or --code skips the login method prompt
+const loginMethod = process.argv.includes("--qr") ? "qr" : process.argv.includes("--code") ? "code" : null;
+
+const { apiId, apiHash, phoneNumber } = config;
 
 console.log("\n🔧 Configuration Check:");
 console.log(`  API_ID: ${apiId}`);
 console.log(`  API_HASH: ${apiHash ? "✓ Set" : "✗ Missing"}`);
 console.log(`  Phone: ${phoneNumber ? "✓ Set" : "✗ Missing"}`);
+console.log(`  Session encryption: ${sessionPassphrase ? "✓ On" : "✗ Off"}`);
+console.log(`  Control bot: ${config.controlBot.enabled ? "✓ On" : "✗ Off (commands go to the account)"}`);
 
-if (!apiId || !apiHash || !phoneNumber) {
-  console.error("❌ Missing environment variables. Check your .env file!");
-  process.exit(1);
-}
+const client = createTelegramTransport({ session: sessionString, apiId, apiHash });
 
-const client = new TelegramClient(
-  new StringSession(sessionString),
-  apiId,
-  apiHash,
-  {
-    connectionRetries: 5,
+// Optional control bot that takes the commands; its session is kept per bot so a new token logs in again
+const controlSessionFile = path.join(sessionDir, `control-bot-${config.controlBot.token.split(":")[0]}.txt`);
+let controlClient = null;
+if (config.controlBot.enabled && !exportSession) {
+  try {
+    controlClient = createTelegramTransport({ session: loadSession(controlSessionFile, sessionPassphrase).session, apiId, apiHash });
+  } catch (error) {
+    console.error(`❌ ${error.message}`);
+    process.exit(1);
   }
-);
+}
 
-// Function to save session
+// Services behind Telegram commands, the admin API and the terminal menu
+const bot = createBot({
+  client,
+  controlClient,
+  config,
+  dataDir: sessionDir,
+  // Roles from config.js and env (/grant and /revoke changes are kept in roles.json)
+  roleSeed: config.roles,
+});
+const { watchdog } = bot;
+if (!bot.killSwitch.enabled()) console.log("⛔ The kill switch is on: nothing will be sent until /killswitch off");
+
+// Function to save session (encrypted when SESSION_PASSPHRASE is set)
 const saveSession = () => {
-  const sessionStr = client.session.save();
-  fs.writeFileSync(sessionFile, sessionStr);
+  writeSessionFile(sessionFile, client.session.save(), sessionPassphrase);
 };
 
 const rl = readline.createInterface({
@@ -75,15 +120,6 @@ const question = (prompt) => {
   });
 };
 
-// Helper function to sleep
-const sleep = (ms) => new Promise((resolve) => setTimeout(resolve, ms));
-
-// Store active auto-send timers
-const activeTimers = [];
-
-// Allowed user IDs for bot commands
-const allowedUserIds = [7968867231, 1016048363];
-
 // Detect non-interactive/headless environments (e.g. Railway)
 const isHeadless = !!process.env.RAILWAY_ENVIRONMENT || process.env.HEADLESS === "1";
 
@@ -127,54 +163,43 @@ async function startBot() {
 
   // Authenticate
   try {
-    console.log(`📲 Phone number: ${phoneNumber}`);
-    
-    // Send auth code request
-    const result = await client.invoke(
-      new Api.auth.SendCode({
-        phoneNumber: phoneNumber,
-        apiId: apiId,
-        apiHash: apiHash,
-        settings: new Api.CodeSettings(),
-      })
-    );
-
-    console.log(`✓ Code sent! Phone code hash: ${result.phoneCodeHash}`);
-    const code = await question("\n📲 Enter verification code: ");
-
-    // Sign in
-    const signIn = await client.invoke(
-      new Api.auth.SignIn({
-        phoneNumber: phoneNumber,
-        phoneCodeHash: result.phoneCodeHash,
-        phoneCode: code,
-      })
-    );
+    const method = loginMethod || (await question("\n🔐 Log in with (1) a code sent to your phone or (2) a QR code? [1]: ")).trim();
+    if (method === "2" || method === "qr") {
+      await loginWithQrCode(client, { apiId, apiHash, ask: question });
+    } else {
+      await loginWithCode(client, { apiId, apiHash, phoneNumber, ask: question });
+    }
 
     console.log("✓ Successfully signed in!");
     saveSession();
   } catch (error) {
-    console.error("✗ Auth error:", error.message);
+    console.error("✗ Auth error:", error.errorMessage || error.message);
     throw error;
   }
 }
 
-async function sendMessageToGroup(groupName, message) {
-  try {
-    // Try to resolve entity (group/channel)
-    const entity = await client.getEntity(groupName);
-    await client.sendMessage(entity, { message });
-    console.log(`✓ Message sent to ${groupName}`);
-    return true;
-  } catch (error) {
-    console.log(`✗ Failed to send to ${groupName}: ${error.message}`);
-    return false;
+// Log the control bot in with its token (the session is reused on later starts)
+async function startControlBot() {
+  await controlClient.start({ botAuthToken: config.controlBot.token });
+  writeSessionFile(controlSessionFile, controlClient.session.save(), sessionPassphrase);
+  const me = await controlClient.getMe();
+  console.log(`✓ Control bot: @${me.username} (send it /help in a private chat)`);
+}
+
+function exportDeliveryLog() {
+  const entries = bot.deliveryLog.read();
+  if (entries.length === 0) {
+    console.log("📭 The delivery log is empty");
+    return;
   }
+  const csvFile = path.join(sessionDir, `deliveries-${new Date().toISOString().slice(0, 10)}.csv`);
+  fs.writeFileSync(csvFile, deliveriesToCsv(entries));
+  console.log(`✓ Exported ${entries.length} deliveries to ${csvFile}`);
 }
 
 async function autoMessageGroups() {
   console.log("\n📝 Enter groups to message (one per line, empty line to finish):");
-  console.log("Examples: @channel_name, -1001234567890, 123456789");
+  console.log("Examples: @channel_name, -1001234567890, 123456789, alias, #tag");
   
   const groups = [];
   let input = "";
@@ -196,371 +221,48 @@ async function autoMessageGroups() {
     return;
   }
 
-  console.log(`\n🤖 Sending to ${groups.length} groups...`);
-
-  for (let i = 0; i < groups.length; i++) {
-    const group = groups[i];
-    console.log(`\n[${i + 1}/${groups.length}] Sending to: ${group}`);
-    await sendMessageToGroup(group, message);
+  let targets;
+  let content;
+  try {
+    bot.requireSending();
+    targets = bot.expandTargets(groups);
+    content = bot.parseMessageContent(message);
+    if (content.sourceMode) throw new Error("--forward/--copy only work as a reply in Telegram");
+  } catch (error) {
+    console.log(`✗ ${error.message}`);
+    return;
+  }
 
-    if (i < groups.length - 1) {
-      console.log(`⏳ Waiting ${config.messageDelay / 1000} seconds before next message...`);
-      await sleep(config.messageDelay);
-    }
+  // Show what goes where and ask before sending
+  const preview = await bot.previewSend(targets, content);
+  console.log(`\n📋 Preview:\n${preview.text}`);
+  if (preview.sendable.length === 0) {
+    console.log("\n✗ None of these groups can be sent to");
+    return;
+  }
+  const answer = await question(`\nSend to ${preview.sendable.length} groups? (y/N): `);
+  if (answer.trim().toLowerCase() !== "y") {
+    console.log("✗ Cancelled");
+    return;
   }
 
-  console.log("\n✓ All messages sent!");
+  console.log(`\n🤖 Sending to ${preview.sendable.length} groups...`);
+
+  const { runId } = await bot.sendToTargets(preview.sendable, content);
+
+  console.log(`\n✓ All messages sent! (run ${runId}; use /unsend ${runId} in Telegram to delete them)`);
 }
 
 async function sendSingleMessage(groupName, message) {
   console.log(`\n📨 Sending message to ${groupName}...`);
-  await sendMessageToGroup(groupName, message);
-}
-
-// Command handler for Telegram messages
-async function setupMessageHandler() {
-  console.log("\n🔔 Message handler activated - you can now control the bot via Telegram!");
-  
-  client.addEventHandler(async (event) => {
-    try {
-      if (event.message.out) return; // Ignore our own messages
-      
-      const msg = event.message;
-      const text = msg.text || msg.message || "";
-      
-      // Only process messages that start with /
-      if (!text.startsWith("/")) return;
-      
-      const parts = text.split(" ");
-      const command = parts[0].toLowerCase().replace(/^\//, "");
-      if (!command) return;
-      
-      console.log(`\n📨 Command received: ${text}`);
-      
-      // Get the sender's entity for reply
-      const senderId = msg.senderId || msg.fromId;
-      const userIdNum = Number(senderId);
-      
-      // Check if user is authorized
-      if (!allowedUserIds.includes(userIdNum)) {
-        console.log(`⛔ Unauthorized command from user ${senderId}`);
-        try {
-          await client.sendMessage(senderId, { 
-            message: "👋 **Hello! Want to plug a service?**\n\nIt is available right now!\n\n👉 Click here to send me a direct message: https://t.me/lithuazs" 
-          });
-        } catch (e) {
-          console.log(`✗ Could not DM unauthorized user ${senderId}.`);
-        }
-        return;
-      }
-      
-      // /send @group message text here
-      if (command === "send" && parts.length >= 3) {
-        const group = parts[1];
-        const customMsg = parts.slice(2).join(" ");
-        await sendMessageToGroup(group, customMsg);
-        
-        try {
-          await msg.respond({ message: `✓ Message sent to ${group}` });
-        } catch (replyErr) {
-          try {
-            await client.sendMessage(senderId, { message: `✓ Message sent to ${group}` });
-          } catch (e2) {
-            console.log(`✓ Message sent to ${group} (couldn't send reply)`);
-          }
-        }
-      }
-      
-      // /sendmulti group1 group2 group3|Message here
-      else if (command === "sendmulti") {
-        const fullText = msg.text || msg.message || "";
-        const [cmdPart, contentPart] = fullText.split("|");
-        
-        if (!contentPart) {
-          try {
-            await msg.respond({ message: "❌ Format: /sendmulti group1 group2|message" });
-          } catch (e) {
-            try {
-              await client.sendMessage(senderId, { message: "❌ Format: /sendmulti group1 group2|message" });
-            } catch (e2) {}
-          }
-          return;
-        }
-        
-        const groups = cmdPart.replace(/^\/*\s*sendmulti\s+/, "").trim().split(/\s+/).filter(g => g);
-        const message = contentPart.trim();
-        
-        console.log(`\n🤖 Sending to ${groups.length} groups...`);
-        
-        for (let i = 0; i < groups.length; i++) {
-          const group = groups[i].trim();
-          if (!group) continue;
-          
-          console.log(`[${i + 1}/${groups.length}] ${group}`);
-          await sendMessageToGroup(group, message);
-          if (i < groups.length - 1) await sleep(config.messageDelay);
-        }
-        
-        try {
-          await msg.respond({ message: `✓ Sent to ${groups.length} groups!` });
-        } catch (replyErr) {
-          try {
-            await client.sendMessage(senderId, { message: `✓ Sent to ${groups.length} groups!` });
-          } catch (e2) {
-            console.log(`✓ Sent to ${groups.length} groups (couldn't send reply)`);
-          }
-        }
-      }
-
-      // /autosend group1 group2|interval|Message here (interval supports s/m/h)
-      else if (command === "autosend") {
-        const fullText = msg.text || msg.message || "";
-        const partsPipe = fullText.split("|");
-        
-        if (partsPipe.length < 3) {
-          try {
-            await msg.respond({ message: "❌ Format: /autosend group1 group2|interval|message (interval like 30s, 5m, 4h)" });
-          } catch (e) {
-            try {
-              await client.sendMessage(senderId, { message: "❌ Format: /autosend group1 group2|interval|message (interval like 30s, 5m, 4h)" });
-            } catch (e2) {}
-          }
-          return;
-        }
-
-        const cmdPart = partsPipe[0];
-        const intervalPart = partsPipe[1];
-        const messagePart = partsPipe.slice(2).join("|");
-
-        const groups = cmdPart.replace(/^\/*\s*autosend\s+/, "").trim().split(/\s+/).filter(g => g);
-        const intervalText = intervalPart.trim();
-
-        const match = intervalText.match(/^(\d*\.?\d+)\s*([smhSMH]?)$/);
-        if (!match) {
-          try {
-            await msg.respond({ message: "❌ Invalid interval. Use number + unit: 30s, 5m, 4h" });
-          } catch (e) {
-            try {
-              await client.sendMessage(senderId, { message: "❌ Invalid interval. Use number + unit: 30s, 5m, 4h" });
-            } catch (e2) {}
-          }
-          return;
-        }
-        
-        const value = parseFloat(match[1]);
-        const unit = (match[2] || "h").toLowerCase();
-
-        let intervalMs;
-        if (unit === "s") {
-          intervalMs = value * 1000;
-        } else if (unit === "m") {
-          intervalMs = value * 60 * 1000;
-        } else {
-          intervalMs = value * 60 * 60 * 1000;
-        }
-
-        if (!groups.length || !value || value <= 0 || !messagePart.trim()) {
-          try {
-            await msg.respond({ message: "❌ Invalid format. Make sure you provided groups and a message." });
-          } catch (e) {
-            try {
-              await client.sendMessage(senderId, { message: "❌ Invalid format. Make sure you provided groups and a message." });
-            } catch (e2) {}
-          }
-          return;
-        }
-
-        const trimmedMessage = messagePart.trim();
-
-        const timer = setInterval(async () => {
-          console.log(`\n⏰ Auto-send tick: ${groups.length} groups every ${intervalText}`);
-          for (let i = 0; i < groups.length; i++) {
-            const group = groups[i].trim();
-            if (!group) continue;
-            
-            console.log(`[auto ${i + 1}/${groups.length}] ${group}`);
-            await sendMessageToGroup(group, trimmedMessage);
-            if (i < groups.length - 1) await sleep(config.messageDelay);
-          }
-        }, intervalMs);
-
-        activeTimers.push(timer);
-
-        try {
-          await msg.respond({ message: `✓ Auto-send started to ${groups.length} groups every ${intervalText}.` });
-        } catch (e) {
-          try {
-            await client.sendMessage(senderId, { message: `✓ Auto-send started to ${groups.length} groups every ${intervalText}.` });
-          } catch (e2) {
-            console.log("✓ Auto-send started (couldn't send confirmation message)");
-          }
-        }
-      }
-      
-      // /help (Replaced inline buttons with clickable text commands to prevent crashing)
-      else if (command === "help") {
-        const helpText = `🤖 **Bot Commands Menu:**\n
-Click a command below to copy it to your chat bar:\n
-📤 \`/send\` - Send to one group
-📤 \`/sendmulti\` - Send to multiple groups
-⏰ \`/autosend\` - Start interval sending
-📋 \`/has\` - List all your groups
-📊 \`/stats\` - View account status
-⛔ \`/stoptimers\` - Stop all auto-sends\n
-ℹ️ Use \`|\` to separate parts for multi/autosend.
-✉️ [Contact Admin](https://t.me/lithuazs)`;
-
-        try {
-          await msg.respond({ message: helpText, parseMode: "markdown" });
-          console.log("✓ Help message sent");
-        } catch (e) {
-          try {
-            await client.sendMessage(senderId, { message: helpText, parseMode: "markdown" });
-            console.log("✓ Help message sent (via DM)");
-          } catch (e2) {
-            console.log("✗ Help command executed - Error sending reply:", e2.message);
-          }
-        }
-      }
-      
-      // /stats
-      else if (command === "stats") {
-        try {
-          const me = await client.getMe();
-          const statsText = `📊 **Account Info:**
-Name: ${me.firstName} ${me.lastName || ""}
-ID: \`${me.id}\`
-Active Timers: ${activeTimers.length}
-Status: Online ✓`;
-          try {
-            await msg.respond({ message: statsText, parseMode: "markdown" });
-          } catch (e) {
-            await client.sendMessage(senderId, { message: statsText, parseMode: "markdown" });
-          }
-          console.log("✓ Stats message sent");
-        } catch (e) {
-          console.log("✗ Stats command executed - Error sending reply:", e.message);
-        }
-      }
-
-      // /stoptimers
-      else if (command === "stoptimers") {
-        try {
-          activeTimers.forEach(clearInterval);
-          activeTimers.length = 0;
-          try {
-            await msg.respond({ message: "✓ All auto-send timers stopped." });
-          } catch (e) {
-            await client.sendMessage(senderId, { message: "✓ All auto-send timers stopped." });
-          }
-          console.log("✓ All auto-send timers cleared");
-        } catch (e) {
-          console.log("✗ Error stopping timers:", e.message);
-        }
-      }
-
-      // /has - List all groups/channels the account has joined
-      else if (command === "has") {
-        try {
-          console.log("\n📋 Fetching all groups and channels...");
-          try {
-            await msg.respond({ message: "⏳ Fetching groups..." });
-          } catch (e) {
-            await client.sendMessage(senderId, { message: "⏳ Fetching groups..." });
-          }
-
-          const dialogs = await client.getDialogs({ limit: 100 });
-          const groups = [];
-
-          for (const dialog of dialogs) {
-            const entity = dialog.entity;
-            if (entity.className === "Chat" || entity.className === "Channel") {
-              const title = entity.title || entity.username || `Unknown (${entity.id})`;
-              const username = entity.username ? `@${entity.username}` : `ID: ${entity.id}`;
-              groups.push({ title, username, id: entity.id });
-            }
-          }
-
-          if (groups.length === 0) {
-            try {
-              await msg.respond({ message: "📭 No groups or channels found." });
-            } catch (e) {
-              try {
-                await client.sendMessage(senderId, { message: "📭 No groups or channels found." });
-              } catch (e2) {}
-            }
-            return;
-          }
-
-          let groupsList = `📋 **Your Groups & Channels** (${groups.length}):\n\n`;
-          groups.forEach((group, idx) => {
-            groupsList += `${idx + 1}. ${group.title}\n   ${group.username}\n`;
-          });
-
-          // Send in chunks if too long
-          if (groupsList.length > 4096) {
-            const chunks = [];
-            let currentChunk = `📋 **Your Groups & Channels** (${groups.length}):\n\n`;
-
-            groups.forEach((group, idx) => {
-              const line = `${idx + 1}. ${group.title}\n   ${group.username}\n`;
-              if ((currentChunk + line).length > 4000) {
-                chunks.push(currentChunk);
-                currentChunk = line;
-              } else {
-                currentChunk += line;
-              }
-            });
-            if (currentChunk) chunks.push(currentChunk);
-
-            for (const chunk of chunks) {
-              try {
-                await msg.respond({ message: chunk });
-              } catch (e) {
-                try {
-                  await client.sendMessage(senderId, { message: chunk });
-                } catch (e2) {}
-              }
-            }
-          } else {
-            try {
-              await msg.respond({ message: groupsList });
-            } catch (e) {
-              try {
-                await client.sendMessage(senderId, { message: groupsList });
-              } catch (e2) {
-                console.log("✗ Error sending group list");
-              }
-            }
-          }
-          console.log(`✓ Found ${groups.length} groups/channels`);
-        } catch (e) {
-          console.log("✗ Error fetching groups:", e.message);
-          try {
-            await msg.respond({ message: `❌ Error: ${e.message}` });
-          } catch (replyErr) {
-            try {
-              await client.sendMessage(senderId, { message: `❌ Error: ${e.message}` });
-            } catch (e2) {}
-          }
-        }
-      }
-      
-      // Unknown command
-      else {
-        try {
-          await msg.respond({ message: "❓ Unknown command. Type /help to see the menu." });
-        } catch (e) {
-          try {
-            await client.sendMessage(senderId, { message: "❓ Unknown command. Type /help to see the menu." });
-          } catch (e2) {}
-        }
-      }
-      
-    } catch (error) {
-      console.error(`Error handling message: ${error.message}`);
-    }
-  }, new NewMessage({}));
+  try {
+    bot.requireSending();
+    const content = bot.parseMessageContent(message);
+    if (content.sourceMode) throw new Error("--forward/--copy only work as a reply in Telegram");
+    await bot.sendToTargets(bot.expandTargets([groupName]), content);
+  } catch (error) {
+    console.log(`✗ ${error.message}`);
+  }
 }
 
 async function showMenu() {
@@ -569,17 +271,57 @@ async function showMenu() {
   console.log("=".repeat(50));
   console.log("1. Send custom message to multiple groups");
   console.log("2. Send message to one group");
-  console.log("3. Exit");
+  console.log("3. Export delivery log (CSV)");
+  console.log("4. Exit");
   console.log("=".repeat(50));
 }
 
+// Print the session string for SESSION_STRING on headless deployments
+function printSessionString() {
+  console.log("\n🔑 Session string (set it as SESSION_STRING; it gives full access to your account, keep it secret):\n");
+  console.log(client.session.save());
+  console.log();
+}
+
+// Stops reloading config.js (set once the bot is running)
+let stopWatchingConfig = () => {};
+
 async function main() {
   try {
+    if (exportSession) {
+      if (isHeadless) throw new Error("--login/--export-session needs an interactive terminal");
+      await startBot();
+      printSessionString();
+      await client.disconnect();
+      return;
+    }
+
     await startBot();
-    
+    if (controlClient) await startControlBot();
+
+    // Reschedule auto-send jobs saved before the last shutdown
+    bot.restoreAutoSendJobs();
+
+    // Finish sends that the last shutdown or a crash cut off
+    bot.resumeInterruptedRuns();
+
     // Setup message handler for Telegram commands
-    await setupMessageHandler();
-    
+    bot.listen();
+
+    // Verify the connection periodically and reconnect when it drops
+    watchdog.start();
+
+    if (config.healthCheck.enabled) {
+      startHealthServer({ host: config.healthCheck.host, port: config.healthCheck.port, getHealth: bot.getHealth });
+    }
+
+    // Optional local HTTP API for dashboards and scripts
+    if (config.adminApi.enabled) startAdminApi(bot, config.adminApi);
+
+    // Apply config.js edits without a restart
+    stopWatchingConfig = watchConfig(configOptions, (next) => bot.applyConfig(next));
+
+
     console.log("\n✓ Bot is ready! You can now send commands via Telegram:");
     console.log("  - Type /help in Telegram to see commands");
     console.log("  - Or use the terminal menu below (local mode)\n");
@@ -588,7 +330,7 @@ async function main() {
       let running = true;
       while (running) {
         await showMenu();
-        const choice = await question("\nChoose option (1-3): ");
+        const choice = await question("\nChoose option (1-4): ");
 
         switch (choice.trim()) {
           case "1":
@@ -596,7 +338,7 @@ async function main() {
             break;
 
           case "2":
-            const group = await question("Enter group ID/@username: ");
+            const group = await question("Enter group ID/@username/alias/#tag: ");
             const message = await question("Enter message to send: ");
             if (group.trim() && message.trim()) {
               await sendSingleMessage(group.trim(), message.trim());
@@ -606,6 +348,10 @@ async function main() {
             break;
 
           case "3":
+            exportDeliveryLog();
+            break;
+
+          case "4":
             console.log("\n👋 Disconnecting...");
             running = false;
             break;
@@ -615,7 +361,7 @@ async function main() {
         }
       }
 
-      await client.disconnect();
+      await shutdown();
     } else {
       console.log("Running in headless mode (no terminal menu).");
     }
@@ -629,17 +375,37 @@ async function main() {
   }
 }
 
-// Handle graceful shutdown
-process.on("SIGINT", async () => {
-  console.log("\n\n👋 Bot stopped by user");
+// Stop taking commands, give sends in progress shutdownTimeoutSeconds to finish the
+// message being sent (the rest resumes after the restart), then disconnect and exit
+let shuttingDown = false;
+async function shutdown() {
+  shuttingDown = true;
+  watchdog.stop();
+  stopWatchingConfig();
+  const stopped = await bot.shutdown(config.shutdownTimeoutSeconds * 1000);
+  if (!stopped) console.log("⚠️ Sends still running were cut off; they resume from their last checkpoint after the restart");
   try {
     await client.disconnect();
+    if (controlClient) await controlClient.disconnect();
   } catch (error) {
     // Ignore
   }
   rl.close();
   process.exit(0);
-});
+}
+
+// Handle graceful shutdown: SIGINT from Ctrl+C, SIGTERM from redeploys (Railway, Docker).
+// A second signal exits right away.
+for (const signal of ["SIGINT", "SIGTERM"]) {
+  process.on(signal, () => {
+    if (shuttingDown) {
+      console.log("\n⚠️ Exiting without waiting for sends in progress");
+      process.exit(1);
+    }
+    console.log(signal === "SIGINT" ? "\n\n👋 Bot stopped by user" : "\n\n👋 SIGTERM received, shutting down");
+    shutdown();
+  });
+}
 
 // Start the bot
 main();
\ No newline at end of file
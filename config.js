@@ -1,5 +1,8 @@
 /**
  * Configuration for Telegram Auto Chat Bot
+ * Checked at startup together with environment overrides (API_ID, MESSAGE_DELAY, ...)
+ * and `--set key=value` options; see "Configuration" in the README. Edits to this
+ * file are picked up while the bot runs.
  */
 
 export const config = {
@@ -13,19 +16,104 @@ export const config = {
     // "123456789",  // channel ID
   ],
 
-  // Auto-response messages
-  autoMessages: [
-    "Hey! I'm interested in this group",
-    "Thanks for the invite!",
-    "Looking forward to being part of this community",
-  ],
-
   // Delay between messages (in milliseconds)
   messageDelay: 5000, // 5 seconds
 
-  // Enable/disable auto-messaging
+  // Account-wide limits shared by /send, /sendmulti, /autosend and the terminal menu
+  sendLimits: {
+    maxPerMinute: 20, // sends per rolling minute
+    minGapMs: 1000, // minimum time between two sends
+    maxRetries: 3, // retries of one send after FloodWait/SlowModeWait
+    maxWaitSeconds: 900, // give up instead of waiting longer than this
+  },
+
+  // Sends from /sendmulti, /autosend and /schedule to more than `aboveTargets` groups
+  // wait for /confirm <token> (valid for `timeoutSeconds`); 0 sends right away
+  confirmBulkSends: {
+    aboveTargets: 10,
+    timeoutSeconds: 120,
+  },
+
+  // Kill switch: false stops every send (commands, auto-send jobs, admin API, menu).
+  // Also toggled at runtime with /killswitch on|off
   autoMessageEnabled: true,
 
-  // Session directory
+  // Block a chat after this many write-forbidden errors in a row
+  // (CHAT_WRITE_FORBIDDEN, USER_BANNED_IN_CHANNEL, ...); 0 disables auto-blocking
+  autoBlockAfter: 3,
+
+  // What to do with /autosend ticks missed while the bot was offline:
+  // "skip" - wait for the next regular tick
+  // "once" - send one catch-up round right after startup
+  autoSendCatchUp: "skip",
+
+  // Default timezone for cron schedules, time windows and /schedule dates
+  // (IANA name like "Europe/London"; empty uses the server's timezone)
+  timezone: "",
+
+  // Folder local --file attachments are read from (relative to where the bot is
+  // started); paths outside it are refused. Empty allows only URLs
+  mediaDir: "media",
+
+  // Who may control the bot via Telegram commands (user IDs). Also read from the
+  // OWNER_IDS, OPERATOR_IDS and VIEWER_IDS env vars (comma-separated).
+  // owner: everything incl. /grant and /revoke; operator: sending and jobs;
+  // viewer: read-only commands (/stats, /jobs, /report, /has, /help)
+  roles: {
+    owners: [7968867231, 1016048363],
+    operators: [],
+    viewers: [],
+  },
+
+  // How to answer commands from users without a role:
+  // mode "ignore" - stay silent (default)
+  // mode "reply" - answer in the same chat with `message`, at most once per user per day
+  unauthorizedReply: {
+    mode: "ignore",
+    message: "This account does not accept commands.",
+  },
+
+  // Connection watchdog: checks the session every `intervalSeconds`, reconnects with
+  // backoff (up to `maxBackoffSeconds` between attempts) and holds auto-send jobs
+  // while disconnected
+  watchdog: {
+    intervalSeconds: 60,
+    timeoutSeconds: 15,
+    maxBackoffSeconds: 300,
+  },
+
+  // On SIGTERM or SIGINT (e.g. a redeploy), how long sends in progress get to finish
+  // the message being sent before the bot exits. Their remaining groups are sent after
+  // the restart. Keep it below the time your platform waits before killing the process.
+  shutdownTimeoutSeconds: 10,
+
+  // GET /healthz for platform health checks (200 when connected, 503 when not), on
+  // its own port without a token. Also enabled by the HEALTH_PORT or PORT env var
+  // (Railway sets PORT). The admin API serves /healthz as well.
+  healthCheck: {
+    enabled: false,
+    host: "0.0.0.0",
+    port: 8080,
+  },
+
+  // Local HTTP admin API (jobs, delivery log, status, sends). Also enabled by setting
+  // the ADMIN_API_TOKEN env var; ADMIN_API_PORT overrides the port. Keep it on
+  // 127.0.0.1 unless something in front of it restricts access.
+  adminApi: {
+    enabled: false,
+    host: "127.0.0.1",
+    port: 8787,
+    token: "", // requests must send "Authorization: Bearer <token>"
+  },
+
+  // Control bot: a bot from @BotFather takes the commands in a private chat and
+  // answers them with buttons, and your account only sends. Commands sent to the
+  // account itself are then ignored. Also enabled by the BOT_TOKEN env var.
+  controlBot: {
+    enabled: false,
+    token: "", // from @BotFather, e.g. "123456:ABC-DEF..."
+  },
+
+  // Session directory (also holds jobs.json with saved /autosend jobs)
   sessionDir: "./session",
 };
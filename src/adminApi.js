@@ -0,0 +1,226 @@
+/**
+ * Local HTTP admin API
+ * Lets dashboards and scripts list/create/pause/delete jobs, read the delivery
+ * log, check the connection and trigger sends without Telegram commands.
+ * Every request needs `Authorization: Bearer <token>`, except GET /healthz;
+ * JSON in, JSON out.
+ */
+
+import * as http from "http";
+import { timingSafeEqual } from "crypto";
+import { deliveriesToCsv } from "./deliveryLog.js";
+import { handleHealthz } from "./health.js";
+import { defaultTimezone, getNextRuns, isValidTimezone, parseDateTime, parseSchedule, parseWindow } from "./schedule.js";
+
+const MAX_BODY_BYTES = 1024 * 1024;
+
+class HttpError extends Error {
+  constructor(status, message) {
+    super(message);
+    this.status = status;
+  }
+}
+
+const unitMs = { s: 1000, m: 60 * 1000, h: 60 * 60 * 1000, d: 24 * 60 * 60 * 1000 };
+
+// "24h", "7d" (time before now) or an ISO date
+function parseSince(value) {
+  if (!value) return 0;
+  const range = value.match(/^(\d*\.?\d+)([smhd])$/i);
+  if (range) return Date.now() - parseFloat(range[1]) * unitMs[range[2].toLowerCase()];
+  const at = Date.parse(value);
+  if (Number.isNaN(at)) throw new HttpError(400, `Invalid "since": ${value}`);
+  return at;
+}
+
+function readJson(req) {
+  return new Promise((resolve, reject) => {
+    let body = "";
+    req.setEncoding("utf-8");
+    req.on("data", (chunk) => {
+      body += chunk;
+      if (body.length > MAX_BODY_BYTES) {
+        reject(new HttpError(413, "Request body too large"));
+        req.destroy();
+      }
+    });
+    req.on("end", () => {
+      if (!body.trim()) return resolve({});
+      try {
+        resolve(JSON.parse(body));
+      } catch (error) {
+        reject(new HttpError(400, "Request body is not valid JSON"));
+      }
+    });
+    req.on("error", reject);
+  });
+}
+
+const sameToken = (given, expected) => {
+  const a = Buffer.from(String(given));
+  const b = Buffer.from(String(expected));
+  return a.length === b.length && timingSafeEqual(a, b);
+};
+
+// String array from a JSON field that may also be a space-separated string
+const toList = (value) => (Array.isArray(value) ? value.map(String) : String(value || "").split(/\s+/)).filter(Boolean);
+
+/**
+ * Start the admin API
+ * @param {object} bot - services shared with the command modules (see bot.js)
+ * @param {{ host: string, port: number, token: string }} options
+ * @returns {http.Server}
+ */
+export function startAdminApi(bot, { host = "127.0.0.1", port, token }) {
+  if (!token) throw new Error("The admin API needs a token (adminApi.token or ADMIN_API_TOKEN)");
+  const { jobs } = bot;
+  const startedAt = Date.now();
+
+  const findJob = (ref) => {
+    const job = jobs.get(decodeURIComponent(ref));
+    if (!job) throw new HttpError(404, `Unknown job "${ref}"`);
+    return job;
+  };
+
+  const parseMessage = (raw) => {
+    if (!raw || typeof raw !== "string") throw new HttpError(400, `"message" is required`);
+    const content = bot.parseMessageContent(raw);
+    if (content.sourceMode) throw new HttpError(400, "--forward/--copy only work as a reply in Telegram");
+    return content;
+  };
+
+  // [method, path pattern, handler(params, body, query)] - the first match wins
+  const routes = [
+    ["GET", /^\/status$/, async () => {
+      let account = null;
+      try {
+        const me = await bot.client.getMe();
+        account = { id: String(me.id), name: [me.firstName, me.lastName].filter(Boolean).join(" ") };
+      } catch (error) {
+        // Reported as disconnected below
+      }
+      const list = jobs.list();
+      return {
+        connected: Boolean(bot.client.connected && account),
+        sendingEnabled: bot.killSwitch.enabled(),
+        account,
+        uptimeSeconds: Math.round((Date.now() - startedAt) / 1000),
+        jobs: Object.fromEntries(["active", "paused", "done"].map((status) => [status, list.filter((j) => j.status === status).length])),
+        queuedSends: bot.sendQueue.size,
+        runs: bot.sendRuns.list().map(({ id, label, total, startedAt: runStartedAt }) => ({ id, label, total, startedAt: runStartedAt })),
+      };
+    }],
+
+    ["GET", /^\/jobs$/, async () => ({ jobs: jobs.list() })],
+
+    ["POST", /^\/jobs$/, async (params, body) => {
+      const groups = toList(body.groups);
+      if (!groups.length) throw new HttpError(400, `"groups" is required`);
+      if (!body.schedule === !body.at) throw new HttpError(400, `Give either "schedule" (interval or cron) or "at" (YYYY-MM-DD HH:MM)`);
+      if (body.name && (/^#?\d+$/.test(body.name) || jobs.get(body.name))) {
+        throw new HttpError(409, `Job name "${body.name}" is already taken or numeric`);
+      }
+      const timezone = body.timezone || bot.config.timezone || defaultTimezone();
+      if (!isValidTimezone(timezone)) throw new HttpError(400, `Unknown timezone "${timezone}"`);
+      const schedule = body.at ? parseDateTime(String(body.at)) : parseSchedule(String(body.schedule));
+      const window = body.window ? parseWindow(String(body.window)) : null;
+      const message = parseMessage(body.message);
+      bot.expandTargets(groups);
+      if (getNextRuns({ schedule, timezone, window }, 1).length === 0) throw new HttpError(400, "This schedule never fires");
+
+      const job = jobs.create({ name: body.name || undefined, groups, schedule, timezone, window, message, createdBy: null });
+      bot.auditLog.record({ event: "api-job-create", jobId: job.id });
+      return [201, { job }];
+    }],
+
+    ["GET", /^\/jobs\/([^/]+)$/, async ([ref]) => ({ job: findJob(ref) })],
+
+    ["POST", /^\/jobs\/([^/]+)\/(pause|resume)$/, async ([ref, action]) => {
+      const job = findJob(ref);
+      if (job.status === "done") throw new HttpError(409, "This job has already finished");
+      jobs[action](job);
+      bot.auditLog.record({ event: `api-job-${action}`, jobId: job.id });
+      return { job };
+    }],
+
+    ["DELETE", /^\/jobs\/([^/]+)$/, async ([ref]) => {
+      const job = findJob(ref);
+      jobs.stop(job);
+      bot.auditLog.record({ event: "api-job-delete", jobId: job.id });
+      return { deleted: job.id };
+    }],
+
+    ["GET", /^\/deliveries$/, async (params, body, query) => {
+      const jobId = query.get("jobId");
+      const entries = bot.deliveryLog.read({ since: parseSince(query.get("since")), jobId: jobId ? Number(jobId) : null });
+      const limit = Number(query.get("limit")) || 0;
+      const selected = limit ? entries.slice(-limit) : entries;
+      if (query.get("format") === "csv") return [200, deliveriesToCsv(selected), "text/csv"];
+      return { deliveries: selected };
+    }],
+
+    // Sends in the background; progress is visible in /status runs and the delivery log
+    ["POST", /^\/send$/, async (params, body) => {
+      if (!bot.killSwitch.enabled()) throw new HttpError(409, "Sending is stopped by the kill switch");
+      if (bot.isShuttingDown()) throw new HttpError(503, "The bot is shutting down");
+      const targets = bot.expandTargets(toList(body.targets));
+      if (!targets.length) throw new HttpError(400, `"targets" is required`);
+      const message = parseMessage(body.message);
+      const { checks, sendable } = await bot.previewSend(targets, message);
+
+      const run = bot.sendRuns.start({ label: `API send to ${sendable.length} groups`, total: sendable.length });
+      bot.auditLog.record({ event: "api-send", runId: run.id, targets });
+      bot.sendToTargets(sendable, message, { run })
+        .catch((error) => console.error(`✗ API send ${run.id} failed: ${error.message}`))
+        .finally(() => bot.sendRuns.finish(run));
+
+      return [202, {
+        runId: run.id,
+        sending: sendable,
+        skipped: checks.filter((check) => !check.ok).map(({ target, reason }) => ({ target, reason })),
+      }];
+    }],
+
+    ["DELETE", /^\/runs\/(\d+)$/, async ([id]) => {
+      const run = bot.sendRuns.get(id);
+      if (!run) throw new HttpError(404, `No send in progress with ID ${id}`);
+      run.cancel();
+      return { cancelled: run.id };
+    }],
+  ];
+
+  const server = http.createServer(async (req, res) => {
+    const send = (status, payload, type = "application/json") => {
+      res.writeHead(status, { "Content-Type": type });
+      res.end(type === "application/json" ? JSON.stringify(payload, null, 2) : payload);
+    };
+
+    try {
+      if (handleHealthz(req, res, bot.getHealth)) return;
+
+      const auth = req.headers.authorization || "";
+      if (!auth.startsWith("Bearer ") || !sameToken(auth.slice(7), token)) throw new HttpError(401, "Missing or wrong token");
+
+      const url = new URL(req.url, "http://localhost");
+      const pathMatches = routes.filter(([, pattern]) => pattern.test(url.pathname));
+      if (pathMatches.length === 0) throw new HttpError(404, "Not found");
+      const route = pathMatches.find(([method]) => method === req.method);
+      if (!route) throw new HttpError(405, "Method not allowed");
+
+      const params = url.pathname.match(route[1]).slice(1);
+      const body = req.method === "POST" ? await readJson(req) : {};
+      const result = await route[2](params, body, url.searchParams);
+      if (Array.isArray(result)) send(...result);
+      else send(200, result);
+    } catch (error) {
+      // Errors from the schedule/content parsers are user input errors too
+      const status = error instanceof HttpError ? error.status : 400;
+      if (!(error instanceof HttpError)) console.log(`✗ Admin API ${req.method} ${req.url}: ${error.message}`);
+      send(status, { error: error.message });
+    }
+  });
+
+  server.listen(port, host, () => console.log(`✓ Admin API listening on http://${host}:${server.address().port}`));
+  server.on("error", (error) => console.error(`✗ Admin API: ${error.message}`));
+  return server;
+}
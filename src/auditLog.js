@@ -0,0 +1,19 @@
+/**
+ * Append-only audit trail of authorization events
+ * (denied commands and role changes), one JSON object per line
+ */
+
+import * as fs from "fs";
+
+export function createAuditLog(filePath) {
+  return {
+    record(event) {
+      const line = { ts: new Date().toISOString(), ...event };
+      try {
+        fs.appendFileSync(filePath, JSON.stringify(line) + "\n");
+      } catch (error) {
+        console.error(`✗ Could not write audit log: ${error.message}`);
+      }
+    },
+  };
+}
@@ -0,0 +1,92 @@
+/**
+ * Blocklist of chats we must not post in
+ * Honors opt-out requests from group admins (/block) and blocks chats
+ * automatically after repeated "you can't write here" errors.
+ */
+
+import * as fs from "fs";
+
+// Errors meaning we are not allowed to post in a chat (as opposed to temporary failures)
+export const FORBIDDEN_ERRORS = [
+  "CHAT_WRITE_FORBIDDEN",
+  "USER_BANNED_IN_CHANNEL",
+  "CHANNEL_PRIVATE",
+  "CHAT_RESTRICTED",
+  "CHAT_SEND_PLAIN_FORBIDDEN",
+  "CHAT_ADMIN_REQUIRED",
+];
+
+/**
+ * @param {object} options
+ * @param {string} options.filePath - JSON file the blocklist is persisted to
+ * @param {number} [options.autoBlockAfter] - consecutive forbidden errors before a chat is blocked (0 disables)
+ */
+export function createBlocklist({ filePath, autoBlockAfter = 3 }) {
+  let data = { blocked: [], failures: {} };
+  if (fs.existsSync(filePath)) {
+    try {
+      data = { ...data, ...JSON.parse(fs.readFileSync(filePath, "utf-8")) };
+    } catch (error) {
+      console.error(`✗ Could not read blocklist ${filePath}: ${error.message}`);
+    }
+  }
+
+  const save = () => fs.writeFileSync(filePath, JSON.stringify(data, null, 2));
+
+  // Entry matching a raw target and/or its resolved chat ID
+  const find = (target, chatId = null) =>
+    data.blocked.find((entry) => (chatId && entry.chatId === String(chatId)) || entry.target === String(target));
+
+  const block = (target, { chatId = null, reason = null, auto = false } = {}) => {
+    if (find(target, chatId)) return false;
+    data.blocked.push({ target: String(target), chatId: chatId ? String(chatId) : null, reason, auto, at: Date.now() });
+    save();
+    return true;
+  };
+
+  return {
+    find,
+    block,
+    isBlocked: (target, chatId = null) => Boolean(find(target, chatId)),
+    list: () => data.blocked,
+
+    unblock(target, chatId = null) {
+      const entry = find(target, chatId);
+      if (!entry) return false;
+      data.blocked = data.blocked.filter((e) => e !== entry);
+      if (entry.chatId) delete data.failures[entry.chatId];
+      save();
+      return true;
+    },
+
+    /**
+     * Count a failed send; forbidden errors in a row block the chat
+     * @returns {boolean} whether the chat was blocked just now
+     */
+    recordFailure(target, chatId, errorName) {
+      const key = String(chatId || target);
+      if (!autoBlockAfter || !FORBIDDEN_ERRORS.includes(errorName)) return false;
+
+      data.failures[key] = (data.failures[key] || 0) + 1;
+      if (data.failures[key] < autoBlockAfter) {
+        save();
+        return false;
+      }
+      delete data.failures[key];
+      return block(target, { chatId, reason: `${errorName} ${autoBlockAfter}x in a row`, auto: true });
+    },
+
+    // Apply a reloaded autoBlockAfter; failures counted so far are kept
+    configure(options) {
+      autoBlockAfter = options.autoBlockAfter;
+    },
+
+    recordSuccess(target, chatId) {
+      const key = String(chatId || target);
+      if (data.failures[key]) {
+        delete data.failures[key];
+        save();
+      }
+    },
+  };
+}
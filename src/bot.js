@@ -0,0 +1,730 @@
+/**
+ * The bot's services, wired to a Telegram transport
+ * Everything the command router, the admin API and the terminal menu work
+ * with; bot.js creates it with the real client, tests with a fake one.
+ */
+
+import { utils } from "telegram";
+import { NewMessage } from "telegram/events/index.js";
+import { CallbackQuery } from "telegram/events/CallbackQuery.js";
+import * as path from "path";
+import { createJobRegistry } from "./jobRegistry.js";
+import { createSendQueue, withFloodRetry } from "./sendQueue.js";
+import { createRoleManager } from "./roles.js";
+import { createAuditLog } from "./auditLog.js";
+import { createGroupRegistry } from "./groupRegistry.js";
+import { checkSendable, formatPreflight } from "./preflight.js";
+import { createBlocklist } from "./blocklist.js";
+import { createTemplateStore, describeContent, isEmptyContent, parseContent, renderText, resolveMediaFile, toContent } from "./messageContent.js";
+import { createDeliveryLog, errorClass } from "./deliveryLog.js";
+import { describeSchedule, formatTimeIn } from "./schedule.js";
+import { formatJobName } from "./jobFormat.js";
+import { createCommandRouter } from "./commandRouter.js";
+import { createReplier } from "./replies.js";
+import { createConfirmations } from "./confirmations.js";
+import { createRunRegistry } from "./sendRuns.js";
+import { createRunCheckpoints } from "./runCheckpoints.js";
+import { createWatchdog } from "./watchdog.js";
+import { createKillSwitch } from "./killSwitch.js";
+import { createSendingCommands, formatRunSummary } from "./commands/sending.js";
+import { createRetractCommands } from "./commands/retract.js";
+import { createJobCommands } from "./commands/jobs.js";
+import { createGroupCommands } from "./commands/groups.js";
+import { createTemplateCommands } from "./commands/templates.js";
+import { createInfoCommands } from "./commands/info.js";
+import { createAccessCommands } from "./commands/access.js";
+
+/**
+ * @param {object} options
+ * @param {import("./transport.js").Transport} options.client - the user account; sends to groups
+ * @param {import("./transport.js").Transport|null} [options.controlClient] - a bot that takes the commands
+ *   instead of the account (config.controlBot); it answers them with inline buttons
+ * @param {object} options.config - see config.js
+ * @param {string} options.dataDir - directory for jobs, logs, roles and the other stores
+ * @param {{ owners?: number[], operators?: number[], viewers?: number[] }} [options.roleSeed] - initial roles
+ */
+export function createBot({ client, controlClient = null, config, dataDir, roleSeed = {} }) {
+  // Helper function to sleep (ends early when the optional AbortSignal fires)
+  const sleep = (ms, signal) => new Promise((resolve) => {
+    const onAbort = () => {
+      clearTimeout(timer);
+      resolve();
+    };
+    const timer = setTimeout(() => {
+      signal?.removeEventListener("abort", onAbort);
+      resolve();
+    }, ms);
+    signal?.addEventListener("abort", onAbort, { once: true });
+  });
+
+  // Every outgoing group message goes through this queue (rate limit + FloodWait handling)
+  const sendQueue = createSendQueue(config.sendLimits);
+
+  // History of every send attempt (for /report and CSV export)
+  const deliveryLog = createDeliveryLog(path.join(dataDir, "deliveries.jsonl"));
+
+  // Who may run which bot commands (roleSeed, plus /grant and /revoke changes)
+  const roles = createRoleManager({ filePath: path.join(dataDir, "roles.json"), seed: roleSeed });
+
+  // Denied commands and role changes
+  const auditLog = createAuditLog(path.join(dataDir, "audit.jsonl"));
+
+  // Target groups with aliases and #tags, seeded from config.targetGroups and /has
+  const groupRegistry = createGroupRegistry({ filePath: path.join(dataDir, "groups.json") });
+  const seedTargetGroups = () => groupRegistry.seed(config.targetGroups.map((target) => ({
+    target,
+    username: String(target).startsWith("@") ? String(target).slice(1) : null,
+  })));
+  seedTargetGroups();
+
+  // Chats we must not post in (opt-outs and repeated write-forbidden errors)
+  const blocklist = createBlocklist({ filePath: path.join(dataDir, "blocklist.json"), autoBlockAfter: config.autoBlockAfter });
+
+  // Reusable message templates (/template)
+  const templates = createTemplateStore({ filePath: path.join(dataDir, "templates.json") });
+
+  // Global stop for every send path (config.autoMessageEnabled, flipped by /killswitch)
+  const killSwitch = createKillSwitch({ filePath: path.join(dataDir, "killswitch.json"), config });
+
+  // Commands come from, and are answered through, the control bot when there is one
+  const commandClient = controlClient || client;
+
+  // Command replies and notifications (long text is split, replies fall back to a DM)
+  const { reply, notify, progress } = createReplier(commandClient, { buttons: Boolean(controlClient) });
+
+  // Where each send in progress is, so it can resume after a restart
+  const checkpoints = createRunCheckpoints(path.join(dataDir, "runs.json"));
+
+  // Sends in progress (/cancel); IDs continue from the delivery log for /unsend and /editsent
+  const lastRunId = checkpoints.list().reduce((max, checkpoint) => Math.max(max, checkpoint.id), deliveryLog.lastRunId());
+  const sendRuns = createRunRegistry({ firstId: lastRunId + 1 });
+
+  // Set by shutdown(): no new commands or sends, runs in progress stop at their next target
+  let stopping = false;
+
+  // Bulk sends waiting for /confirm
+  const confirmations = createConfirmations(config.confirmBulkSends);
+
+  // Resolved entities by target, so repeated sends don't call client.getEntity
+  const entityCache = new Map();
+
+  // When a message was last delivered (reported by /healthz)
+  let lastSentAt = null;
+
+  // Resolve a target (@username or chat ID) to an entity once and cache it
+  async function resolveEntity(target) {
+    const key = String(target);
+    if (entityCache.has(key)) return entityCache.get(key);
+
+    // Numeric IDs must be passed as numbers, otherwise they are looked up as phone numbers
+    const entity = await client.getEntity(/^-?\d+$/.test(key) ? Number(key) : key);
+    entityCache.set(key, entity);
+    return entity;
+  }
+
+  // Expand aliases and #tags from a command into raw targets; throws on unknown tags
+  function expandTargets(tokens) {
+    const { targets, unknownTags } = groupRegistry.expand(tokens);
+    if (unknownTags.length) {
+      throw new Error(`No groups tagged ${unknownTags.join(", ")}. See /group list.`);
+    }
+    return targets;
+  }
+
+  // Resolve each target and check that we can post there; returns [{ target, ok, reason, entity, transient }]
+  // where `transient` marks a check that failed (FloodWait, timeout, lost connection) rather than said no
+  async function preflightTargets(targets) {
+    const results = [];
+    for (const target of targets) {
+      try {
+        const entity = await withFloodRetry(() => resolveEntity(target));
+        if (blocklist.isBlocked(target, utils.getPeerId(entity))) {
+          results.push({ target, ok: false, reason: "on the blocklist", entity });
+          continue;
+        }
+        results.push({ target, ...(await withFloodRetry(() => checkSendable(client, entity))), entity });
+      } catch (error) {
+        results.push({ target, ok: false, transient: true, reason: `can't check (${errorClass(error)})` });
+      }
+    }
+    return results;
+  }
+
+  // Variables available in message text sent to one target
+  const targetVars = (entity) => ({
+    group_title: entity.title || [entity.firstName, entity.lastName].filter(Boolean).join(" "),
+    group: entity.username ? `@${entity.username}` : String(utils.getPeerId(entity)),
+  });
+
+  // The text deliverContent would send to a target, with a note about attached media
+  function previewContent(entity, content) {
+    const { text = "", files = [], template: templateName, source } = toContent(content);
+    if (source) return `[${describeContent(content)}]`;
+
+    const template = templateName ? templates.get(templateName) : null;
+    const media = template ? template.source?.messageIds.length || template.files?.length || 0 : files.length;
+    const body = renderText(template ? template.text || "" : text, targetVars(entity), config.timezone);
+    return `${media ? `[${media > 1 ? `album of ${media}` : "1 file"}] ` : ""}${body}`;
+  }
+
+  // Pre-flight the targets and describe exactly what each of them would receive;
+  // returns { checks, sendable, text }
+  async function previewSend(targets, content) {
+    const checks = await preflightTargets(targets);
+    const sendable = checks.filter((check) => check.ok).map((check) => check.target);
+    const previews = checks.map((check) => (check.ok ? previewContent(check.entity, content) : null));
+    const sendablePreviews = previews.filter((preview) => preview !== null);
+    // Messages without per-group variables are shown once instead of for every target
+    const same = sendablePreviews.every((preview) => preview === sendablePreviews[0]);
+
+    const lines = checks.map((check, i) => {
+      const title = check.entity?.title ? ` (${check.entity.title})` : "";
+      if (!check.ok) return `✗ ${check.target}${title} — ${check.reason}`;
+      const preview = previews[i];
+      return same ? `✓ ${check.target}${title}` : `✓ ${check.target}${title}\n   › ${preview.length > 200 ? `${preview.slice(0, 200)}…` : preview}`;
+    });
+    const message = same && sendablePreviews.length ? `Message:\n${sendablePreviews[0]}\n\n` : "";
+    return {
+      checks,
+      sendable,
+      text: `${message}Targets (${sendable.length} of ${checks.length} sendable):\n${lines.join("\n")}`,
+    };
+  }
+
+  // Refuse to start a send while the kill switch is on or the bot is shutting down
+  function requireSending() {
+    if (!killSwitch.enabled()) throw new Error("Sending is stopped by the kill switch. Use /killswitch off to allow it again.");
+    if (stopping) throw new Error("The bot is shutting down; try again after it restarts.");
+  }
+
+  // Send a message to several targets one after another, pausing config.messageDelay in between.
+  // onProgress is called after every target; a cancelled run, or the kill switch, stops it before the next one.
+  // Sends without a run get their own, so every sent message belongs to one.
+  // The run is checkpointed after every target; a shutdown interrupts it there and
+  // resumeFrom (its checkpoint) continues it after the restart.
+  // Returns { runId, sent, failed, skipped, failures: [{ target, reason }], cancelled, interrupted }
+  async function sendToTargets(targets, message, { jobId = null, label = "", run = null, onProgress = null, resumeFrom = null } = {}) {
+    const ownRun = run ? null : sendRuns.start({ label: `send to ${targets.length} groups`, total: targets.length });
+    run = run || ownRun;
+    const result = { runId: run.id, sent: 0, failed: 0, skipped: 0, failures: [], cancelled: false, interrupted: false };
+    if (resumeFrom) Object.assign(result, resumeFrom.result, { failures: [...resumeFrom.result.failures] });
+    const checkpoint = (next) => checkpoints.save({
+      id: run.id,
+      label: run.label,
+      userId: run.userId,
+      jobId,
+      targets,
+      message,
+      next,
+      result: { sent: result.sent, failed: result.failed, skipped: result.skipped, failures: result.failures },
+    });
+
+    const first = resumeFrom?.next ?? 0;
+    checkpoint(first);
+    try {
+      for (let i = first; i < targets.length; i++) {
+        if (run.interrupted || stopping) {
+          result.interrupted = true;
+          console.log(`⏸ Run ${run.id} interrupted with ${targets.length - i} targets left; it resumes after the restart`);
+          break;
+        }
+        if (run.cancelled) {
+          result.cancelled = true;
+          console.log(`🛑 Run ${run.id} cancelled with ${targets.length - i} targets left`);
+          break;
+        }
+        if (!killSwitch.enabled()) {
+          result.cancelled = true;
+          console.log(`⛔ Kill switch is on: stopped with ${targets.length - i} targets left`);
+          break;
+        }
+        console.log(`[${label}${i + 1}/${targets.length}] ${targets[i]}`);
+        const { outcome, reason } = await sendMessageToGroup(targets[i], message, { jobId, runId: run.id });
+        result[outcome]++;
+        if (outcome !== "sent") result.failures.push({ target: targets[i], reason });
+        checkpoint(i + 1);
+        if (onProgress) await onProgress(result);
+        if (i < targets.length - 1) await sleep(config.messageDelay, run.signal);
+      }
+    } finally {
+      if (!result.interrupted) checkpoints.remove(run.id);
+      if (ownRun) sendRuns.finish(ownRun);
+    }
+    return result;
+  }
+
+  // Parse a command's message part and check that its template exists and its
+  // local files are in the media folder
+  function parseMessageContent(raw) {
+    const content = parseContent(raw);
+    if (content.template && !templates.get(content.template)) {
+      throw new Error(`Unknown template "${content.template}". See /template list.`);
+    }
+    (content.files || []).forEach((file) => resolveMediaFile(file, config.mediaDir));
+    return content;
+  }
+
+  const CONTROL_BOT_REPLY_ERROR = "Replied-to messages can only be sent or saved when commands go to the account itself. Use text, --file or --template instead.";
+
+  // The message itself, or every message of the album it belongs to
+  // (albums arrive as separate messages sharing a groupedId)
+  async function getAlbumMessages(message) {
+    // The account can't read the control bot's chat: the same IDs there are other messages
+    if (controlClient) throw new Error(CONTROL_BOT_REPLY_ERROR);
+    if (!message.groupedId) return [message];
+    const ids = Array.from({ length: 19 }, (_, i) => message.id - 9 + i);
+    const nearby = await client.getMessages(message.peerId, { ids });
+    return nearby.filter((m) => m && m.groupedId && m.groupedId.equals(message.groupedId));
+  }
+
+  // Use the message a command replies to as its content when --forward/--copy is
+  // given, or when the command has no message of its own (copy by default)
+  async function withReplySource(msg, content) {
+    if (!content.sourceMode && !(isEmptyContent(content) && msg.isReply)) return content;
+
+    if (controlClient) throw new Error(CONTROL_BOT_REPLY_ERROR);
+    const replied = msg.isReply ? await msg.getReplyMessage() : null;
+    if (!replied) throw new Error(`--${content.sourceMode} needs the command to be a reply to the message to send`);
+    if (content.text || content.files?.length || content.template) {
+      throw new Error(`--${content.sourceMode || "copy"} sends the replied message as-is; remove the extra text, files or template`);
+    }
+
+    const messages = await getAlbumMessages(replied);
+    return {
+      text: "",
+      source: {
+        chatId: String(replied.chatId),
+        messageIds: messages.map((m) => m.id),
+        mode: content.sourceMode || "copy",
+      },
+    };
+  }
+
+  // Send content to one resolved target: text, files, or a template (whose media
+  // is re-sent from its source message), with variables filled in for this target.
+  // Returns every message sent (more than one for albums and forwarded albums).
+  async function deliverContent(entity, content) {
+    let { text = "", parseMode, files = [], template: templateName, source } = toContent(content);
+    let media = files;
+
+    if (source) {
+      const sourceChat = await resolveEntity(source.chatId);
+      if (source.mode === "forward") {
+        // GramJS returns one array per source chat, with undefined for messages it can't match
+        return (await client.forwardMessages(entity, { messages: source.messageIds, fromPeer: sourceChat })).flat().filter(Boolean);
+      }
+
+      const messages = (await client.getMessages(sourceChat, { ids: source.messageIds })).filter(Boolean);
+      if (messages.length === 0) throw new Error("Source message was deleted");
+      // A single message is copied with its entities; an album is re-sent with its captions
+      if (messages.length === 1) return [await client.sendMessage(entity, { message: messages[0] })];
+      return client.sendFile(entity, {
+        file: messages.map((m) => m.media),
+        caption: messages.map((m) => m.text || ""),
+        parseMode: "markdown",
+      });
+    }
+
+    if (templateName) {
+      const template = templates.get(templateName);
+      if (!template) throw new Error(`Unknown template "${templateName}"`);
+      ({ text = "", parseMode, files: media = [] } = template);
+      if (template.source) {
+        const sourceChat = await resolveEntity(template.source.chatId);
+        const messages = await client.getMessages(sourceChat, { ids: template.source.messageIds });
+        media = messages.filter((m) => m && m.media).map((m) => m.media);
+      }
+    }
+
+    // Checked again here: jobs and templates keep paths that may point elsewhere by now
+    media = media.map((file) => (typeof file === "string" ? resolveMediaFile(file, config.mediaDir) : file));
+    const message = renderText(text, targetVars(entity), config.timezone);
+
+    if (media.length) {
+      const sent = await client.sendFile(entity, { file: media.length === 1 ? media[0] : media, caption: message, parseMode });
+      return [sent].flat();
+    }
+    return [await client.sendMessage(entity, { message, parseMode })];
+  }
+
+  // Send to one target through the send queue; returns { outcome: "sent"|"failed"|"skipped", reason }
+  async function sendMessageToGroup(groupName, message, { jobId = null, runId = null } = {}) {
+    let chatId = null;
+    // Checked again when the queue gets to this send, which can be much later
+    const skipReason = () => {
+      if (!killSwitch.enabled()) return { reason: "kill switch is on", error: "KILL_SWITCH" };
+      if (blocklist.isBlocked(groupName, chatId)) return { reason: "on the blocklist", error: "BLOCKED" };
+      return null;
+    };
+    let skipped = skipReason();
+    try {
+      const sent = skipped ? null : await sendQueue.enqueue(groupName, async () => {
+        // Try to resolve entity (group/channel)
+        const entity = await resolveEntity(groupName);
+        chatId = String(utils.getPeerId(entity));
+        skipped = skipReason();
+        return skipped ? null : deliverContent(entity, message);
+      });
+      if (skipped) {
+        console.log(`⛔ Skipped ${groupName}: ${skipped.reason}`);
+        deliveryLog.record({ runId, jobId, target: groupName, chatId, outcome: "skipped", error: skipped.error });
+        return { outcome: "skipped", reason: skipped.reason };
+      }
+      console.log(`✓ Message sent to ${groupName}`);
+      lastSentAt = Date.now();
+      const messageIds = sent.map((m) => m.id);
+      deliveryLog.record({ runId, jobId, target: groupName, chatId, messageId: messageIds[0] ?? null, messageIds, outcome: "sent" });
+      blocklist.recordSuccess(groupName, chatId);
+      return { outcome: "sent", reason: null };
+    } catch (error) {
+      console.log(`✗ Failed to send to ${groupName}: ${error.message}`);
+      deliveryLog.record({ runId, jobId, target: groupName, chatId, outcome: "failed", error: errorClass(error) });
+      if (blocklist.recordFailure(groupName, chatId, errorClass(error))) {
+        console.log(`⛔ ${groupName} blocked after repeated ${errorClass(error)} errors`);
+      }
+      return { outcome: "failed", reason: errorClass(error) };
+    }
+  }
+
+  // Messages sent by one run, or by the last `lastRuns` runs of a job, grouped by
+  // target in the order they were sent: [{ target, chatId, messageIds }]
+  function sentMessages({ runId = null, jobId = null, lastRuns = 1 }) {
+    let entries = deliveryLog.read({ runId, jobId }).filter((entry) => entry.outcome === "sent" && entry.runId);
+    if (runId === null) {
+      const runIds = [...new Set(entries.map((entry) => entry.runId))].slice(-lastRuns);
+      entries = entries.filter((entry) => runIds.includes(entry.runId));
+    }
+    const byTarget = new Map();
+    for (const entry of entries) {
+      const key = entry.chatId || entry.target;
+      const sent = byTarget.get(key) || { target: entry.target, chatId: entry.chatId, messageIds: [] };
+      sent.messageIds.push(...(entry.messageIds || [entry.messageId]).filter(Boolean));
+      byTarget.set(key, sent);
+    }
+    return [...byTarget.values()];
+  }
+
+  // Delete messages we sent to one target (through the send queue); returns how many
+  // were deleted, which is fewer than asked when some were already gone
+  async function deleteSent({ target, messageIds }) {
+    return sendQueue.enqueue(target, async () => {
+      const entity = await resolveEntity(target);
+      const affected = await client.deleteMessages(entity, messageIds, { revoke: true });
+      return affected.reduce((count, result) => count + (result.ptsCount || 0), 0);
+    });
+  }
+
+  // Replace the text (or caption) of the first message we sent to one target, with its
+  // variables filled in for that target; returns false when the text was already the same
+  async function editSent({ target, messageIds }, content) {
+    const { text = "", parseMode } = toContent(content);
+    return sendQueue.enqueue(target, async () => {
+      const entity = await resolveEntity(target);
+      try {
+        await client.editMessage(entity, { message: messageIds[0], text: renderText(text, targetVars(entity), config.timezone), parseMode });
+        return true;
+      } catch (error) {
+        if (errorClass(error) === "MESSAGE_NOT_MODIFIED") return false;
+        throw error;
+      }
+    });
+  }
+
+  // Send one auto-send tick of a job to all of its groups
+  // (aliases and #tags are expanded on every tick so registry changes apply)
+  // Targets that fail the pre-flight check are paused within the job until /resume;
+  // targets that couldn't be checked are only skipped this tick
+  async function runAutoSendJob(job) {
+    if (!killSwitch.enabled()) {
+      console.log(`\n⛔ Kill switch is on: skipped the tick of job ${formatJobName(job)}`);
+      return { sent: 0, failed: 0, skipped: job.groups.length };
+    }
+    const paused = new Set(job.pausedTargets.map((entry) => entry.target));
+    const targets = expandTargets(job.groups).filter((target) => !paused.has(target));
+    console.log(`\n⏰ Auto-send tick (job ${formatJobName(job)}): ${targets.length} groups ${describeSchedule(job)}`);
+
+    const checks = await preflightTargets(targets);
+    const unchecked = checks.filter((check) => check.transient);
+    if (unchecked.length) {
+      console.log(`⚠️ Job ${formatJobName(job)}: skipped ${unchecked.length} target(s) this tick:\n${formatPreflight(unchecked)}`);
+    }
+    const unsendable = checks.filter((check) => !check.ok && !check.transient);
+    if (unsendable.length) {
+      jobs.pauseTargets(job, unsendable);
+      console.log(`⏸ Job ${formatJobName(job)}: paused ${unsendable.length} unsendable target(s)`);
+      // Jobs created through the admin API have no Telegram user to notify
+      if (job.createdBy) await notify(job.createdBy, `⏸ Job ${formatJobName(job)} paused targets it can no longer send to:\n${formatPreflight(unsendable)}\n\nUse /resume ${job.id} to retry them.`);
+    }
+
+    const sendable = checks.filter((check) => check.ok).map((check) => check.target);
+    const run = sendRuns.start({ label: `job ${formatJobName(job)}`, userId: job.createdBy, total: sendable.length });
+    try {
+      const result = await sendToTargets(sendable, job.message, { jobId: job.id, label: "auto ", run });
+      return { sent: result.sent, failed: result.failed, skipped: result.skipped + unsendable.length + unchecked.length };
+    } finally {
+      sendRuns.finish(run);
+    }
+  }
+
+  // Registry of persisted auto-send jobs (restored and rescheduled on startup)
+  const jobs = createJobRegistry({
+    filePath: path.join(dataDir, "jobs.json"),
+    runJob: runAutoSendJob,
+    catchUp: config.autoSendCatchUp,
+  });
+
+  // Reconnects when the session stops answering; jobs are held while disconnected
+  const watchdog = createWatchdog({
+    client,
+    ...config.watchdog,
+    onDown: () => {
+      jobs.suspend();
+      console.log("⏸ Auto-send jobs held until the connection is back");
+    },
+    onUp: () => {
+      jobs.unsuspend();
+      console.log("▶️ Auto-send jobs resumed");
+    },
+  });
+
+  const toIso = (timestamp) => (timestamp ? new Date(timestamp).toISOString() : null);
+
+  // Connection state, uptime and last successful send, for /healthz
+  function getHealth() {
+    const status = watchdog.status();
+    return {
+      ok: status.connected,
+      connected: status.connected,
+      uptimeSeconds: Math.round(process.uptime()),
+      lastCheckAt: toIso(status.lastCheckAt),
+      lastOkAt: toIso(status.lastOkAt),
+      downSince: toIso(status.downSince),
+      reconnectAttempts: status.reconnectAttempts,
+      lastError: status.lastError,
+      lastSentAt: toIso(lastSentAt),
+      jobsHeld: jobs.suspended,
+    };
+  }
+
+  function restoreAutoSendJobs() {
+    const restored = jobs.restore();
+    if (restored.length === 0) return;
+
+    console.log(`\n♻️ Restored ${restored.length} auto-send job(s):`);
+    for (const job of restored) {
+      const next = job.status === "active" ? `next ${formatTimeIn(job.nextRunAt, job.timezone)}` : job.status;
+      console.log(`  ${formatJobName(job)}: ${job.groups.length} groups ${describeSchedule(job)} (${next})`);
+    }
+  }
+
+  // Continue a checkpointed run at its next target; whoever started it hears how it ended
+  async function resumeRun(checkpoint) {
+    const total = checkpoint.targets.length;
+    const run = sendRuns.start({ id: checkpoint.id, label: checkpoint.label, userId: checkpoint.userId, total });
+    try {
+      const result = await sendToTargets(checkpoint.targets, checkpoint.message, {
+        jobId: checkpoint.jobId,
+        label: checkpoint.jobId === null ? "" : "auto ",
+        run,
+        resumeFrom: checkpoint,
+      });
+      if (checkpoint.userId && !result.interrupted) {
+        await notify(checkpoint.userId, `♻️ ${checkpoint.label} was resumed after a restart.\n${formatRunSummary(result, total)}`);
+      }
+    } finally {
+      sendRuns.finish(run);
+    }
+  }
+
+  // Resume the runs a shutdown, redeploy or crash cut off (call once connected)
+  function resumeInterruptedRuns() {
+    const saved = checkpoints.list();
+    if (saved.length === 0) return;
+
+    console.log(`\n♻️ Resuming ${saved.length} interrupted send(s):`);
+    for (const checkpoint of saved) {
+      // An auto-send tick is only finished while its job is still running
+      if (checkpoint.jobId !== null && jobs.get(checkpoint.jobId)?.status !== "active") {
+        console.log(`  Run ${checkpoint.id} (${checkpoint.label}): dropped, the job is no longer active`);
+        checkpoints.remove(checkpoint.id);
+        continue;
+      }
+      console.log(`  Run ${checkpoint.id} (${checkpoint.label}): ${checkpoint.targets.length - checkpoint.next} of ${checkpoint.targets.length} groups left`);
+      resumeRun(checkpoint).catch((error) => console.error(`✗ Could not resume run ${checkpoint.id}: ${error.message}`));
+    }
+  }
+
+  /**
+   * Stop taking commands and starting sends, and interrupt the runs in progress after
+   * the message being sent; they are checkpointed and resume after the restart
+   * @param {number} timeoutMs - how long to wait for runs to stop
+   * @returns {Promise<boolean>} whether every run stopped in time
+   */
+  async function shutdown(timeoutMs) {
+    stopping = true;
+    jobs.suspend();
+    const running = sendRuns.list();
+    if (running.length === 0) return true;
+
+    console.log(`⏳ Waiting up to ${Math.round(timeoutMs / 1000)}s for ${running.length} send(s) to stop...`);
+    running.forEach((run) => run.interrupt());
+    const timeout = new AbortController();
+    const stopped = await Promise.race([sendRuns.idle().then(() => true), sleep(timeoutMs, timeout.signal).then(() => false)]);
+    timeout.abort();
+    return stopped;
+  }
+
+  // When each unauthorized user was last answered (replies are limited to one per day)
+  const unauthorizedRepliedAt = new Map();
+  const UNAUTHORIZED_REPLY_INTERVAL = 24 * 60 * 60 * 1000;
+
+  // Apply config.unauthorizedReply: ignore silently (default) or answer in the same chat
+  async function replyToUnauthorized(msg, userId) {
+    const policy = config.unauthorizedReply || {};
+    if (policy.mode !== "reply" || !policy.message) return;
+
+    const lastReply = unauthorizedRepliedAt.get(userId) || 0;
+    if (Date.now() - lastReply < UNAUTHORIZED_REPLY_INTERVAL) return;
+    unauthorizedRepliedAt.set(userId, Date.now());
+
+    try {
+      await msg.respond({ message: policy.message });
+    } catch (e) {
+      console.log(`✗ Could not reply to unauthorized user ${userId}: ${e.message}`);
+    }
+  }
+
+  // Settings read each time they are used or passed on by applyConfig; the others
+  // are only read at startup
+  const LIVE_SETTINGS = [
+    "targetGroups", "messageDelay", "autoMessageEnabled", "timezone", "unauthorizedReply", "shutdownTimeoutSeconds", "mediaDir",
+    "sendLimits", "confirmBulkSends", "autoBlockAfter",
+  ];
+
+  // Apply a reloaded config; returns the changed settings that only take effect after a restart
+  function applyConfig(next) {
+    const previous = { ...config, autoMessageEnabled: killSwitch.fileValue };
+    const changed = Object.keys(next).filter((key) => JSON.stringify(next[key]) !== JSON.stringify(previous[key]));
+    const restartNeeded = changed.filter((key) => !LIVE_SETTINGS.includes(key));
+    const applied = changed.filter((key) => LIVE_SETTINGS.includes(key));
+    applied.forEach((key) => {
+      config[key] = next[key];
+    });
+
+    // A new autoMessageEnabled in the config replaces the last /killswitch decision
+    if (applied.includes("autoMessageEnabled")) killSwitch.configChanged(next.autoMessageEnabled);
+    if (applied.includes("targetGroups")) seedTargetGroups();
+    if (applied.includes("sendLimits")) sendQueue.configure(config.sendLimits);
+    if (applied.includes("confirmBulkSends")) confirmations.configure(config.confirmBulkSends);
+    if (applied.includes("autoBlockAfter")) blocklist.configure({ autoBlockAfter: config.autoBlockAfter });
+
+    if (applied.length) console.log(`♻️ Config reloaded: ${applied.join(", ")}`);
+    if (restartNeeded.length) console.log(`⚠️ Restart the bot to apply: ${restartNeeded.join(", ")}`);
+    return restartNeeded;
+  }
+
+  // Services and helpers the command modules in src/commands work with
+  const bot = {
+    client,
+    config,
+    jobs,
+    roles,
+    auditLog,
+    deliveryLog,
+    groupRegistry,
+    blocklist,
+    templates,
+    killSwitch,
+    confirmations,
+    sendRuns,
+    sendQueue,
+    getHealth,
+    entityCache,
+    resolveEntity,
+    expandTargets,
+    requireSending,
+    isShuttingDown: () => stopping,
+    hasButtons: Boolean(controlClient),
+    preflightTargets,
+    previewSend,
+    sendToTargets,
+    sentMessages,
+    deleteSent,
+    editSent,
+    progress,
+    parseMessageContent,
+    withReplySource,
+    getAlbumMessages,
+  };
+
+  // Telegram commands, in the order /help lists them
+  const router = createCommandRouter({ roles, auditLog, reply, onUnauthorized: replyToUnauthorized }).register(
+    createSendingCommands(bot),
+    createRetractCommands(bot),
+    createJobCommands(bot),
+    createGroupCommands(bot),
+    createTemplateCommands(bot),
+    createInfoCommands(bot),
+    createAccessCommands(bot),
+  );
+
+  // Dispatch a command, or while shutting down tell users with a role to send it again later
+  async function handleCommand(msg) {
+    if (!stopping) return router.dispatch(msg);
+    const senderId = msg.senderId || msg.fromId;
+    if (msg.text?.startsWith("/") && roles.getRole(Number(senderId))) {
+      await reply(msg, senderId, "♻️ The bot is restarting. Send the command again in a minute.");
+    }
+  }
+
+  // Command handler for Telegram messages (and button presses on the control bot)
+  function listen() {
+    console.log(controlClient
+      ? "\n🔔 Message handler activated - send commands to the control bot in a private chat!"
+      : "\n🔔 Message handler activated - you can now control the bot via Telegram!");
+
+    commandClient.addEventHandler(async (event) => {
+      try {
+        const msg = event.message;
+        if (msg.out) return; // Ignore our own messages
+        // The control bot only takes commands in private chats
+        if (controlClient && !msg.isPrivate) return;
+        await handleCommand(msg);
+      } catch (error) {
+        console.error(`Error handling message: ${error.message}`);
+      }
+    }, new NewMessage({}));
+
+    if (!controlClient) return;
+    // A button's data is a command line; pressing it runs that command as if it was typed
+    controlClient.addEventHandler(async (event) => {
+      try {
+        await event.answer();
+        const text = event.data?.toString() || "";
+        await handleCommand({
+          text,
+          message: text,
+          senderId: event.senderId,
+          chatId: event.chatId,
+          isPrivate: true,
+          isReply: false,
+          respond: (params) => controlClient.sendMessage(event.chatId, params),
+        });
+      } catch (error) {
+        console.error(`Error handling button: ${error.message}`);
+      }
+    }, new CallbackQuery({}));
+  }
+
+  return {
+    ...bot,
+    router,
+    watchdog,
+    sendMessageToGroup,
+    restoreAutoSendJobs,
+    resumeInterruptedRuns,
+    shutdown,
+    applyConfig,
+    listen,
+  };
+}
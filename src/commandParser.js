@@ -0,0 +1,131 @@
+/**
+ * Shared parser for bot commands
+ *
+ * Commands declare their arguments with a usage-style spec, e.g.
+ *   "<groups...> | <schedule:text> | [message:text]"
+ * where
+ *   <name>        required word          [name]        optional word
+ *   <name...>     one or more words      [name...]     zero or more words
+ *   <name:number> word that must be a number
+ *   <name:text>   the rest of its section as typed (multiline, may contain "|"
+ *                 when it is in the last section)
+ *   |             starts the next section
+ * Words may be "double quoted" to include spaces or "|".
+ */
+
+export class UsageError extends Error {
+  constructor(message) {
+    super(message);
+    this.name = "UsageError";
+  }
+}
+
+const QUOTES = { '"': '"', "“": "”", "„": "“" };
+
+// Split a "/command rest" line into the command name and the raw rest
+export function parseCommandLine(text) {
+  const match = text.match(/^\/([a-z0-9_]+)(?:@\w+)?(?:[ \t]+|(?=\n)|$)/i);
+  if (!match) return null;
+  return { name: match[1].toLowerCase(), rest: text.slice(match[0].length) };
+}
+
+// Split on "|" outside quotes into at most `count` sections (the last one keeps the rest)
+export function splitSections(text, count) {
+  const sections = [];
+  let current = "";
+  let closing = null;
+  for (const char of text) {
+    if (closing) {
+      if (char === closing) closing = null;
+    } else if (QUOTES[char]) {
+      closing = QUOTES[char];
+    } else if (char === "|" && sections.length < count - 1) {
+      sections.push(current);
+      current = "";
+      continue;
+    }
+    current += char;
+  }
+  sections.push(current);
+  return sections;
+}
+
+// Take the next word from text, removing its quotes; returns null when there are no more words
+function nextWord(text) {
+  const trimmed = text.replace(/^\s+/, "");
+  if (!trimmed) return null;
+
+  const closing = QUOTES[trimmed[0]];
+  if (closing) {
+    const end = trimmed.indexOf(closing, 1);
+    if (end === -1) throw new UsageError(`Missing closing quote in ${trimmed.split("\n")[0]}`);
+    return { value: trimmed.slice(1, end), rest: trimmed.slice(end + 1) };
+  }
+
+  const end = trimmed.search(/\s/);
+  return end === -1 ? { value: trimmed, rest: "" } : { value: trimmed.slice(0, end), rest: trimmed.slice(end) };
+}
+
+export function tokenize(text) {
+  const words = [];
+  for (let word = nextWord(text); word; word = nextWord(word.rest)) words.push(word.value);
+  return words;
+}
+
+/**
+ * Compile an argument spec into sections of { name, optional, list, type }
+ * @param {string} spec
+ */
+export function compileArgs(spec = "") {
+  return spec.split("|").map((section) => section.trim().split(/\s+/).filter(Boolean).map((token) => {
+    const match = token.match(/^([<[])(\w+)(\.\.\.)?(?::(number|text))?[>\]]$/);
+    if (!match) throw new Error(`Invalid argument spec "${token}"`);
+    return { name: match[2], optional: match[1] === "[", list: Boolean(match[3]), type: match[4] || "word" };
+  }));
+}
+
+/**
+ * Parse the raw text after the command name against a compiled spec
+ * @returns {Record<string, string|number|string[]|null>}
+ * @throws {UsageError}
+ */
+export function parseArgs(sections, rest) {
+  const parts = splitSections(rest, sections.length);
+  const args = {};
+
+  sections.forEach((specs, index) => {
+    let remaining = parts[index] ?? "";
+
+    for (const spec of specs) {
+      const missing = () => new UsageError(`Missing ${spec.optional ? "" : "required "}argument <${spec.name}>`);
+
+      if (spec.type === "text") {
+        args[spec.name] = remaining.trim();
+        remaining = "";
+        if (!args[spec.name] && !spec.optional) throw missing();
+      } else if (spec.list) {
+        args[spec.name] = tokenize(remaining);
+        remaining = "";
+        if (args[spec.name].length === 0 && !spec.optional) throw missing();
+      } else {
+        const word = nextWord(remaining);
+        if (!word) {
+          if (!spec.optional) throw missing();
+          args[spec.name] = null;
+          continue;
+        }
+        remaining = word.rest;
+        if (spec.type === "number") {
+          if (!/^-?\d+$/.test(word.value)) throw new UsageError(`<${spec.name}> must be a number`);
+          args[spec.name] = Number(word.value);
+        } else {
+          args[spec.name] = word.value;
+        }
+      }
+    }
+
+    if (tokenize(remaining).length) throw new UsageError(`Unexpected argument "${tokenize(remaining)[0]}"`);
+  });
+
+  return args;
+}
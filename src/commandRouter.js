@@ -0,0 +1,105 @@
+/**
+ * Command router for Telegram commands
+ * Each command declares its name, arguments, minimum role and help text; the
+ * router parses incoming messages, checks permissions and dispatches to the
+ * command's handler. /help is generated from the same declarations.
+ */
+
+import { hasRole, ROLES } from "./roles.js";
+import { compileArgs, parseArgs, parseCommandLine, UsageError } from "./commandParser.js";
+
+// "/autosend <groups...> | <schedule> | [message]"
+export const formatUsage = (command) =>
+  `/${command.name}${command.args ? ` ${command.args.replace(/:(text|number)/g, "")}` : ""}`;
+
+/**
+ * @param {object} options
+ * @param {ReturnType<import("./roles.js").createRoleManager>} options.roles
+ * @param {ReturnType<import("./auditLog.js").createAuditLog>} options.auditLog
+ * @param {(msg, senderId, message: string, options?: object) => Promise<void>} options.reply
+ * @param {(msg, userId: number) => Promise<void>} options.onUnauthorized - called for users without a role
+ */
+export function createCommandRouter({ roles, auditLog, reply, onUnauthorized }) {
+  const commands = new Map();
+
+  const router = {
+    /**
+     * @param {object} command
+     * @param {string} command.name
+     * @param {string} [command.args] - argument spec, see commandParser.js
+     * @param {"viewer"|"operator"|"owner"} command.role - minimum role
+     * @param {string} command.icon
+     * @param {string} command.summary - one line for /help
+     * @param {string} [command.details] - extra lines for /help <command>
+     * @param {(ctx: object) => Promise<void>} command.handler
+     */
+    register(...list) {
+      for (const command of list.flat()) {
+        if (commands.has(command.name)) throw new Error(`Command /${command.name} is already registered`);
+        if (!ROLES.includes(command.role)) throw new Error(`Command /${command.name} has no valid role`);
+        commands.set(command.name, { ...command, sections: compileArgs(command.args) });
+      }
+      return router;
+    },
+
+    get: (name) => commands.get(String(name).replace(/^\//, "").toLowerCase()),
+
+    // Commands a role may run, in registration order
+    list(role = null) {
+      return [...commands.values()].filter((command) => hasRole(role, command.role));
+    },
+
+    // Handle an incoming message; returns false when it isn't a command
+    async dispatch(msg) {
+      const text = msg.text || msg.message || "";
+      const parsed = parseCommandLine(text);
+      if (!parsed) return false;
+
+      console.log(`\n📨 Command received: ${text}`);
+
+      const senderId = msg.senderId || msg.fromId;
+      const userId = Number(senderId);
+      const command = commands.get(parsed.name);
+      const required = command?.role || "viewer";
+      const { allowed, role } = roles.check(userId, required);
+
+      if (!allowed) {
+        auditLog.record({ event: "denied", userId, role, command: parsed.name, required, chatId: String(msg.chatId) });
+      }
+
+      if (!role) {
+        console.log(`⛔ Unauthorized command from user ${senderId}`);
+        await onUnauthorized(msg, userId);
+        return true;
+      }
+
+      const respond = (message, options) => reply(msg, senderId, message, options);
+
+      if (!command) {
+        await respond("❓ Unknown command. Type /help to see the menu.");
+        return true;
+      }
+
+      if (!allowed) {
+        console.log(`⛔ User ${senderId} (${role}) may not run /${command.name}`);
+        await respond(`⛔ /${command.name} needs the ${required} role (you are ${role}).`);
+        return true;
+      }
+
+      try {
+        const args = parseArgs(command.sections, parsed.rest);
+        await command.handler({ msg, senderId, userId, role, args, reply: respond, router });
+      } catch (error) {
+        if (error instanceof UsageError) {
+          await respond(`❌ ${error.message}\nUsage: ${formatUsage(command)}`, { parseMode: false });
+        } else {
+          console.log(`✗ /${command.name} failed: ${error.message}`);
+          await respond(`❌ ${error.message}`);
+        }
+      }
+      return true;
+    },
+  };
+
+  return router;
+}
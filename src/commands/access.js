@@ -0,0 +1,49 @@
+/**
+ * Role management commands (owner only): /roles, /grant and /revoke
+ */
+
+import { ROLES } from "../roles.js";
+
+export function createAccessCommands(bot) {
+  const { roles, auditLog } = bot;
+
+  return [
+    {
+      name: "roles",
+      role: "owner",
+      icon: "👥",
+      summary: "List users and their roles",
+      async handler({ reply }) {
+        const lines = roles.list().map((entry) => `${entry.role}: \`${entry.userId}\``);
+        await reply(`👥 **Roles:**\n${lines.join("\n")}`, { parseMode: "markdown" });
+      },
+    },
+    {
+      name: "grant",
+      args: "<userId:number> <role>",
+      role: "owner",
+      icon: "👥",
+      summary: `Give a user a role (${ROLES.join(", ")})`,
+      async handler({ userId: by, args, reply }) {
+        const role = args.role.toLowerCase();
+        roles.grant(args.userId, role);
+        auditLog.record({ event: "grant", userId: args.userId, role, by });
+        await reply(`✓ User ${args.userId} is now ${role}.`);
+        console.log(`✓ User ${args.userId} granted ${role} by ${by}`);
+      },
+    },
+    {
+      name: "revoke",
+      args: "<userId:number>",
+      role: "owner",
+      icon: "👥",
+      summary: "Remove a user's role",
+      async handler({ userId: by, args, reply }) {
+        roles.revoke(args.userId);
+        auditLog.record({ event: "revoke", userId: args.userId, by });
+        await reply(`✓ User ${args.userId} no longer has access.`);
+        console.log(`✓ User ${args.userId} revoked by ${by}`);
+      },
+    },
+  ];
+}
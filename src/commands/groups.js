@@ -0,0 +1,166 @@
+/**
+ * Target group commands: /has, /group, /check, /block and /unblock
+ */
+
+import { utils } from "telegram";
+import { UsageError } from "../commandParser.js";
+import { formatPreflight } from "../preflight.js";
+import { withFloodRetry } from "../sendQueue.js";
+
+const formatTags = (tags) => tags.map((tag) => `#${tag}`).join(" ");
+
+export function createGroupCommands(bot) {
+  const { groupRegistry, blocklist } = bot;
+
+  // Resolve each target's chat ID when possible (block/unblock fall back to the raw target)
+  const withChatIds = async (targets) => {
+    const result = [];
+    for (const target of targets) {
+      let chatId = null;
+      try {
+        chatId = String(utils.getPeerId(await bot.resolveEntity(target)));
+      } catch (e) {
+        // Keep the raw target if it can't be resolved
+      }
+      result.push({ target, chatId });
+    }
+    return result;
+  };
+
+  return [
+    {
+      name: "has",
+      role: "viewer",
+      icon: "📋",
+      summary: "List all your groups",
+      async handler({ reply }) {
+        console.log("\n📋 Fetching all groups and channels...");
+        await reply("⏳ Fetching groups...");
+
+        const dialogs = await withFloodRetry(() => bot.client.getDialogs({ limit: 100 }));
+        const groups = [];
+
+        for (const dialog of dialogs) {
+          const entity = dialog.entity;
+          if (entity.className === "Chat" || entity.className === "Channel") {
+            const title = entity.title || entity.username || `Unknown (${entity.id})`;
+            const username = entity.username ? `@${entity.username}` : `ID: ${entity.id}`;
+            const target = String(utils.getPeerId(entity));
+            bot.entityCache.set(target, entity);
+            groups.push({ title, username, id: entity.id, target, entityUsername: entity.username });
+          }
+        }
+
+        // Register newly seen groups so they can be targeted by alias
+        const added = groupRegistry.seed(groups.map((group) => ({
+          target: group.target,
+          title: group.title,
+          username: group.entityUsername,
+        })));
+        if (added) console.log(`✓ Added ${added} new groups to the registry`);
+        groups.forEach((group) => {
+          group.alias = groupRegistry.aliasOf(group.target) || groupRegistry.aliasOf(`@${group.entityUsername}`);
+          group.blocked = blocklist.isBlocked(group.entityUsername ? `@${group.entityUsername}` : group.target, group.target);
+        });
+
+        if (groups.length === 0) {
+          await reply("📭 No groups or channels found.");
+          return;
+        }
+
+        const lines = groups.map((group, idx) =>
+          `${idx + 1}. ${group.blocked ? "⛔ " : ""}${group.title}\n   ${group.username} · alias: ${group.alias}${group.blocked ? " · blocked" : ""}`);
+        await reply(`📋 **Your Groups & Channels** (${groups.length}):\n\n${lines.join("\n")}`);
+        console.log(`✓ Found ${groups.length} groups/channels`);
+      },
+    },
+    {
+      name: "group",
+      args: "[action] [args...]",
+      role: "operator",
+      icon: "🏷",
+      summary: "Manage group aliases and #tags",
+      details: "`/group add <alias> <id|@username>`\n`/group remove <alias>`\n`/group tag <alias> <tag>`, `/group untag <alias> <tag>`\n`/group list [#tag]`",
+      async handler({ args, reply }) {
+        const action = (args.action || "list").toLowerCase();
+        const [alias, value] = args.args;
+
+        if (action === "add" && alias && value) {
+          const group = groupRegistry.add(alias, value);
+          await reply(`✓ Group "${group.alias}" → ${group.target}`);
+        } else if (action === "remove" && alias) {
+          groupRegistry.remove(alias);
+          await reply(`✓ Group "${alias}" removed.`);
+        } else if ((action === "tag" || action === "untag") && alias && value) {
+          const group = action === "tag" ? groupRegistry.tag(alias, value) : groupRegistry.untag(alias, value);
+          await reply(`✓ Group "${group.alias}" tags: ${formatTags(group.tags) || "none"}`);
+        } else if (action === "list") {
+          const list = groupRegistry.list(alias);
+          if (list.length === 0) {
+            await reply("📭 No registered groups. Use /group add or /has.");
+            return;
+          }
+          const lines = list.map((group) => {
+            const tags = group.tags.length ? ` ${formatTags(group.tags)}` : "";
+            return `• ${group.alias} → ${group.target}${group.title ? ` (${group.title})` : ""}${tags}`;
+          });
+          await reply(`🏷 Registered groups (${list.length}):\n${lines.join("\n")}`);
+        } else {
+          throw new UsageError(`Unknown or incomplete action "${action}". See /help group`);
+        }
+      },
+    },
+    {
+      name: "check",
+      args: "<targets...>",
+      role: "viewer",
+      icon: "🔎",
+      summary: "Check we can post before sending",
+      async handler({ args, reply }) {
+        const checks = await bot.preflightTargets(bot.expandTargets(args.targets));
+        const sendable = checks.filter((check) => check.ok).length;
+        await reply(`🔎 Pre-flight: ${sendable}/${checks.length} sendable\n\n${formatPreflight(checks)}`);
+      },
+    },
+    {
+      name: "block",
+      args: "[target] [reason:text]",
+      role: "operator",
+      icon: "⛔",
+      summary: "Opt a chat out of all sends (list blocked chats without a target)",
+      async handler({ userId, args, reply }) {
+        if (!args.target) {
+          const blocked = blocklist.list();
+          const lines = blocked.map((entry) => `⛔ ${entry.target}${entry.chatId && entry.chatId !== entry.target ? ` (${entry.chatId})` : ""}${entry.reason ? ` — ${entry.reason}` : ""}${entry.auto ? " [auto]" : ""}`);
+          await reply(blocked.length ? `⛔ Blocked chats (${blocked.length}):\n${lines.join("\n")}` : "📭 No blocked chats.");
+          return;
+        }
+
+        const targets = bot.expandTargets([args.target]);
+        const reason = args.reason || null;
+        const results = (await withChatIds(targets)).map(({ target, chatId }) => {
+          const changed = blocklist.block(target, { chatId, reason: reason || `blocked by ${userId}` });
+          return `${changed ? "✓" : "•"} ${target}${changed ? "" : " (already blocked)"}`;
+        });
+        bot.auditLog.record({ event: "block", targets, reason, by: userId });
+        await reply(`⛔ Blocked:\n${results.join("\n")}`);
+      },
+    },
+    {
+      name: "unblock",
+      args: "<target>",
+      role: "operator",
+      icon: "✅",
+      summary: "Allow sending to a blocked chat again",
+      async handler({ userId, args, reply }) {
+        const targets = bot.expandTargets([args.target]);
+        const results = (await withChatIds(targets)).map(({ target, chatId }) => {
+          const changed = blocklist.unblock(target, chatId);
+          return `${changed ? "✓" : "•"} ${target}${changed ? "" : " (not blocked)"}`;
+        });
+        bot.auditLog.record({ event: "unblock", targets, reason: null, by: userId });
+        await reply(`✓ Unblocked:\n${results.join("\n")}`);
+      },
+    },
+  ];
+}
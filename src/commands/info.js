@@ -0,0 +1,110 @@
+/**
+ * Read-only commands: /help, /stats and /report
+ */
+
+import { formatUsage } from "../commandRouter.js";
+import { summarizeDeliveries } from "../deliveryLog.js";
+import { formatJobName } from "../jobFormat.js";
+
+// Tips shown under the command list of /help
+const helpNotes = `ℹ️ Use \`|\` to separate parts for multi/autosend, and "double quotes" for arguments with spaces.
+💬 Message options: \`--html\`, \`--md\`, \`--plain\`, \`--file=<path|url>\` (repeat for an album), \`--template=<name>\`
+↪️ Reply to a message with \`/sendmulti g1 g2\` or \`/autosend g1|4h\` to copy it, add \`|--forward\` to forward it
+🔤 Variables: \`{group_title}\`, \`{group}\`, \`{date}\`, \`{time}\`
+🧪 Add \`--dry-run\` before the groups of /sendmulti, /autosend or /schedule to preview without sending
+🎯 Targets can be @usernames, IDs, aliases or \`#tag\` for every group with that tag.
+❔ \`/help <command>\` shows the details of a command
+✉️ [Contact Admin](https://t.me/lithuazs)`;
+
+export function createInfoCommands(bot) {
+  const { jobs, deliveryLog } = bot;
+
+  // Summarize the delivery log per target, for one job or a time range (default: last 24h)
+  function buildReport(scope = "24h") {
+    const range = scope.match(/^(\d*\.?\d+)([smhd])$/i);
+    let title;
+    let entries;
+
+    if (range) {
+      const unitMs = { s: 1000, m: 60 * 1000, h: 60 * 60 * 1000, d: 24 * 60 * 60 * 1000 }[range[2].toLowerCase()];
+      title = `last ${scope}`;
+      entries = deliveryLog.read({ since: Date.now() - parseFloat(range[1]) * unitMs });
+    } else {
+      const job = jobs.get(scope);
+      if (!job) throw new Error(`Unknown job "${scope}". Use /report <job id or name> or /report 24h`);
+      title = `job ${formatJobName(job)}`;
+      entries = deliveryLog.read({ jobId: job.id });
+    }
+
+    if (entries.length === 0) return `📭 No deliveries recorded (${title}).`;
+
+    const summary = summarizeDeliveries(entries);
+    const sent = summary.reduce((total, row) => total + row.sent, 0);
+    const failed = summary.reduce((total, row) => total + row.failed, 0);
+    const lines = summary.map((row) => {
+      const error = row.lastError ? ` — last error: ${row.lastError}` : "";
+      const skipped = row.skipped ? `, ${row.skipped} skipped` : "";
+      return `${row.failed ? "⚠️" : "✓"} ${row.target}: ${row.sent} sent, ${row.failed} failed${skipped}${error}`;
+    });
+    return `📈 **Delivery Report** (${title}):\n${sent} sent, ${failed} failed\n\n${lines.join("\n")}`;
+  }
+
+  return [
+    {
+      name: "stats",
+      role: "viewer",
+      icon: "📊",
+      summary: "View account status",
+      async handler({ reply }) {
+        const me = await bot.client.getMe();
+        const list = jobs.list();
+        await reply(`📊 **Account Info:**
+Name: ${me.firstName} ${me.lastName || ""}
+ID: \`${me.id}\`
+Auto-send Jobs: ${list.filter((j) => j.status === "active").length} active, ${list.filter((j) => j.status === "paused").length} paused
+Status: Online ✓`, { parseMode: "markdown" });
+        console.log("✓ Stats message sent");
+      },
+    },
+    {
+      name: "report",
+      args: "[scope]",
+      role: "viewer",
+      icon: "📈",
+      summary: "Delivery results per group for a job or time range (default 24h)",
+      async handler({ args, reply }) {
+        await reply(buildReport(args.scope || undefined), { parseMode: "markdown" });
+      },
+    },
+    {
+      name: "help",
+      args: "[command]",
+      role: "viewer",
+      icon: "❔",
+      summary: "Show this menu",
+      // Generated from the commands the user's role may run
+      async handler({ role, args, reply, router }) {
+        if (args.command) {
+          const command = router.get(args.command);
+          if (!command || !router.list(role).includes(command)) throw new Error(`Unknown command "${args.command}"`);
+          await reply(`${command.icon} \`${formatUsage(command)}\`\n${command.summary}${command.details ? `\n\n${command.details}` : ""}`, { parseMode: "markdown" });
+          return;
+        }
+
+        const commands = router.list(role);
+        const lines = commands.map((command) => `${command.icon} \`${formatUsage(command)}\` - ${command.summary}`);
+        // On the control bot, read-only commands that need no arguments are a tap away
+        const tappable = commands.filter((command) => command.role === "viewer" && !/</.test(command.args || ""));
+        const buttons = [];
+        for (let i = 0; i < tappable.length; i += 3) {
+          buttons.push(tappable.slice(i, i + 3).map((command) => ({ text: `${command.icon} ${command.name}`, command: `/${command.name}` })));
+        }
+        await reply(`🤖 **Bot Commands Menu:**\n
+${bot.hasButtons ? "Tap a button to run a command, or type any command below:" : "Click a command below to copy it to your chat bar:"}\n
+${lines.join("\n")}\n
+${helpNotes}`, { parseMode: "markdown", buttons });
+        console.log("✓ Help message sent");
+      },
+    },
+  ];
+}
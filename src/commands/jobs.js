@@ -0,0 +1,239 @@
+/**
+ * Auto-send job commands: /autosend, /schedule, /jobs, /pause, /resume,
+ * /stop, /edit and /stoptimers
+ */
+
+import { tokenize, UsageError } from "../commandParser.js";
+import { formatJob, formatJobName } from "../jobFormat.js";
+import { formatPreflight } from "../preflight.js";
+import {
+  defaultTimezone,
+  describeSchedule,
+  formatTimeIn,
+  getNextRuns,
+  isValidTimezone,
+  parseDateTime,
+  parseSchedule,
+  parseWindow,
+} from "../schedule.js";
+import { commandContent, confirmOrRun } from "./sending.js";
+
+const parseTimezone = (value) => {
+  if (!isValidTimezone(value)) throw new Error(`Unknown timezone "${value}". Use an IANA name like Europe/London.`);
+  return value;
+};
+
+// Split job options (name=, tz=, window=, --dry-run) from the group list of /autosend and /schedule
+function parseJobOptions(tokens) {
+  const options = { groups: [], dryRun: false };
+  for (const token of tokens) {
+    const [key, ...rest] = token.split("=");
+    const value = rest.join("=");
+    if (token === "--dry-run") options.dryRun = true;
+    else if (key === "name" && value) options.name = value;
+    else if (key === "tz" && value) options.timezone = parseTimezone(value);
+    else if (key === "window" && value) options.window = parseWindow(value);
+    else options.groups.push(token);
+  }
+  return options;
+}
+
+// Inline buttons (control bot only) that pause or resume a job
+const pauseButton = (job) => ({ text: `⏸ Pause #${job.id}`, command: `/pause ${job.id}` });
+const resumeButton = (job) => ({ text: `▶️ Resume #${job.id}`, command: `/resume ${job.id}` });
+
+// Buttons under /jobs: pause or resume each job that isn't done, then refresh the list
+const jobButtons = (list) => [
+  ...list.filter((job) => job.status !== "done").map((job) => [job.status === "paused" ? resumeButton(job) : pauseButton(job)]),
+  [{ text: "🔄 Refresh", command: "/jobs" }],
+];
+
+export function createJobCommands(bot) {
+  const { jobs } = bot;
+
+  const findJob = (ref) => {
+    const job = jobs.get(ref);
+    if (!job) throw new Error(`Unknown job "${ref}". See /jobs.`);
+    return job;
+  };
+
+  const checkJobName = (name, job = null) => {
+    const existing = jobs.get(name);
+    if (/^#?\d+$/.test(name) || (existing && existing !== job)) {
+      throw new Error(`Job name "${name}" is already taken or numeric.`);
+    }
+  };
+
+  // Shared by /autosend (interval or cron) and /schedule (one-shot date)
+  const createJob = (parseWhen) => async ({ msg, userId, args, reply }) => {
+    const { name, timezone = bot.config.timezone || defaultTimezone(), window = null, groups, dryRun } = parseJobOptions(args.groups);
+    if (!groups.length) throw new UsageError("Add at least one group");
+    if (name) checkJobName(name);
+    const schedule = parseWhen(args.when);
+    const content = await commandContent(bot, msg, args.message);
+    const preview = await bot.previewSend(bot.expandTargets(groups), content);
+
+    const nextRuns = getNextRuns({ schedule, timezone, window }, 3);
+    if (nextRuns.length === 0) throw new Error("This schedule never fires (time already passed or no run inside the window).");
+    const runs = `Next runs:\n${nextRuns.map((at) => `  • ${formatTimeIn(at, timezone)}`).join("\n")}`;
+
+    if (dryRun) {
+      const when = describeSchedule({ schedule, timezone, window });
+      await reply(`🧪 Dry run, no job was created.\nWould send ${when} to ${groups.length} groups.\n${runs}\n\n${preview.text}`, { parseMode: false });
+      return;
+    }
+
+    const run = async () => {
+      if (name) checkJobName(name); // the name may have been taken while waiting for /confirm
+      const job = jobs.create({ name, groups, schedule, timezone, window, message: content, createdBy: userId });
+
+      await reply(`✓ Auto-send job ${formatJobName(job)} started to ${groups.length} groups ${describeSchedule(job)}.
+${runs}
+
+Pre-flight:
+${formatPreflight(preview.checks)}`);
+      console.log(`✓ Job ${formatJobName(job)} created: ${describeSchedule(job)}`);
+    };
+
+    await confirmOrRun(bot, {
+      userId,
+      targetCount: preview.checks.length,
+      description: "auto-send job",
+      preview: `${runs}\n\n${preview.text}`,
+      reply,
+      run,
+    });
+  };
+
+  return [
+    {
+      name: "autosend",
+      args: "<groups...> | <when:text> | [message:text]",
+      role: "operator",
+      icon: "⏰",
+      summary: "Start interval or cron sending",
+      details: "`when` is an interval like `30s`, `5m`, `4h` or cron like `0 9 * * 1-5`.\nOptions before the groups: `name=promo tz=Europe/London window=09:00-18:00 --dry-run`",
+      handler: createJob(parseSchedule),
+    },
+    {
+      name: "schedule",
+      args: "<groups...> | <when:text> | [message:text]",
+      role: "operator",
+      icon: "🗓",
+      summary: "One-shot send at a date/time",
+      details: "`when` is `YYYY-MM-DD HH:MM` in the job's timezone.\nOptions before the groups: `name=promo tz=Europe/London --dry-run`",
+      handler: createJob(parseDateTime),
+    },
+    {
+      name: "jobs",
+      role: "viewer",
+      icon: "🗂",
+      summary: "List auto-send jobs",
+      async handler({ reply }) {
+        const list = jobs.list();
+        if (list.length === 0) {
+          await reply("📭 No auto-send jobs.");
+          return;
+        }
+        await reply(`🗂 **Auto-send Jobs** (${list.length}):\n\n${list.map(formatJob).join("\n\n")}`, { parseMode: "markdown", buttons: jobButtons(list) });
+      },
+    },
+    {
+      name: "pause",
+      args: "<job>",
+      role: "operator",
+      icon: "⏸",
+      summary: "Pause a job",
+      async handler({ args, reply }) {
+        const job = findJob(args.job);
+        if (job.status === "done") throw new Error(`Job ${formatJobName(job)} has already finished. Use /stop to remove it.`);
+        if (job.status === "paused") {
+          await reply(`ℹ️ Job ${formatJobName(job)} is already paused.`);
+          return;
+        }
+        jobs.pause(job);
+        await reply(`⏸ Job ${formatJobName(job)} paused.`, { buttons: [[resumeButton(job)]] });
+        console.log(`✓ Job ${formatJobName(job)}: pause`);
+      },
+    },
+    {
+      name: "resume",
+      args: "<job>",
+      role: "operator",
+      icon: "▶️",
+      summary: "Resume a job (also retries its paused targets)",
+      async handler({ args, reply }) {
+        const job = findJob(args.job);
+        if (job.status === "done") throw new Error(`Job ${formatJobName(job)} has already finished. Use /stop to remove it.`);
+        if (job.status === "active" && job.pausedTargets.length === 0) {
+          await reply(`ℹ️ Job ${formatJobName(job)} is already running.`);
+          return;
+        }
+        jobs.resume(job);
+        await reply(`▶️ Job ${formatJobName(job)} resumed, next run ${formatTimeIn(job.nextRunAt, job.timezone)}.`, { buttons: [[pauseButton(job)]] });
+        console.log(`✓ Job ${formatJobName(job)}: resume`);
+      },
+    },
+    {
+      name: "edit",
+      args: "<job> <field> <value:text>",
+      role: "operator",
+      icon: "✏️",
+      summary: "Change a job's name, groups, schedule, tz, window or message",
+      details: "Fields: `name`, `groups`, `schedule`, `tz`, `window` (`off` to remove) and `message`.",
+      async handler({ msg, args, reply }) {
+        const job = findJob(args.job);
+        const field = args.field.toLowerCase();
+        const value = args.value;
+
+        let changes;
+        if (field === "name") {
+          checkJobName(value, job);
+          changes = { name: value };
+        } else if (field === "groups") {
+          changes = { groups: tokenize(value) };
+        } else if (field === "tz") {
+          changes = { timezone: parseTimezone(value) };
+        } else if (field === "window") {
+          changes = { window: value === "off" ? null : parseWindow(value) };
+        } else if (field === "schedule" || field === "interval") {
+          changes = { schedule: job.schedule.type === "once" ? parseDateTime(value) : parseSchedule(value) };
+        } else if (field === "message") {
+          changes = { message: await commandContent(bot, msg, value) };
+        } else {
+          throw new UsageError(`Unknown field "${field}"`);
+        }
+
+        if (getNextRuns({ ...job, ...changes }, 1).length === 0) throw new Error("With this change the job would never fire.");
+
+        jobs.edit(job, changes);
+        await reply(`✏️ Job ${formatJobName(job)} updated:\n\n${formatJob(job)}`, { parseMode: "markdown" });
+        console.log(`✓ Job ${formatJobName(job)}: ${field} updated`);
+      },
+    },
+    {
+      name: "stop",
+      args: "<job>",
+      role: "operator",
+      icon: "🛑",
+      summary: "Stop and remove a job",
+      async handler({ args, reply }) {
+        const job = findJob(args.job);
+        jobs.stop(job);
+        await reply(`🛑 Job ${formatJobName(job)} stopped and removed.`);
+        console.log(`✓ Job ${formatJobName(job)}: stop`);
+      },
+    },
+    {
+      name: "stoptimers",
+      role: "operator",
+      icon: "⛔",
+      summary: "Stop all auto-sends",
+      async handler({ reply }) {
+        jobs.stopAll();
+        await reply("✓ All auto-send timers stopped.");
+        console.log("✓ All auto-send timers cleared");
+      },
+    },
+  ];
+}
@@ -0,0 +1,115 @@
+/**
+ * Commands that change messages after they were sent: /unsend deletes them and
+ * /editsent replaces their text, in every group a run (or job) sent to
+ */
+
+import { UsageError } from "../commandParser.js";
+import { errorClass } from "../deliveryLog.js";
+import { formatJobName } from "../jobFormat.js";
+import { parseContent } from "../messageContent.js";
+
+const parseRunId = (text) => {
+  if (!/^#?\d+$/.test(text)) throw new UsageError(`"${text}" is not a run ID`);
+  return Number(text.replace(/^#/, ""));
+};
+
+// "/unsend <run>" or "/unsend job <job> [last N]"; returns { runId, name } or { jobId, lastRuns, name }
+function parseUnsendArgs(words, jobs) {
+  const [first, ...rest] = words;
+  if (first.toLowerCase() !== "job") {
+    if (rest.length) throw new UsageError("\"last N\" only applies to jobs: /unsend job <job> last <N>");
+    const runId = parseRunId(first);
+    return { runId, name: `run ${runId}` };
+  }
+
+  const [ref, last, count, ...extra] = rest;
+  if (!ref) throw new UsageError("Add the job ID or name");
+  // A stopped job is gone from /jobs, but its ID still finds what it sent
+  const job = jobs.get(ref);
+  if (!job && !/^#?\d+$/.test(ref)) throw new Error(`Unknown job "${ref}". See /jobs.`);
+  const jobId = job ? job.id : Number(ref.replace(/^#/, ""));
+
+  let lastRuns = 1;
+  if (last !== undefined) {
+    if (last.toLowerCase() !== "last" || !/^\d+$/.test(count || "") || Number(count) < 1 || extra.length) {
+      throw new UsageError("Use /unsend job <job> last <N>");
+    }
+    lastRuns = Number(count);
+  }
+  const jobName = job ? formatJobName(job) : `#${jobId}`;
+  return { jobId, lastRuns, name: `${lastRuns === 1 ? "the last run" : `the last ${lastRuns} runs`} of job ${jobName}` };
+}
+
+// Apply `action` to what was sent to each target; returns how many succeeded and a ✓/✗ line per target
+async function forEachTarget(sent, action) {
+  let done = 0;
+  const lines = [];
+  for (const entry of sent) {
+    try {
+      const note = await action(entry);
+      done++;
+      lines.push(`✓ ${entry.target}${note ? ` — ${note}` : ""}`);
+    } catch (error) {
+      lines.push(`✗ ${entry.target} — ${errorClass(error)}`);
+    }
+  }
+  return { done, lines };
+}
+
+const plural = (count, word) => `${count} ${word}${count === 1 ? "" : "s"}`;
+
+export function createRetractCommands(bot) {
+  return [
+    {
+      name: "unsend",
+      args: "<what...>",
+      role: "operator",
+      icon: "🗑",
+      summary: "Delete what a run sent (/unsend <run>, or /unsend job <job> [last N])",
+      details: "The run ID is shown when a send finishes. For a job, the messages of its last run are deleted, or of its last N runs with \"last N\". Deleting works even while the kill switch is on.",
+      async handler({ msg, senderId, userId, args, reply }) {
+        const what = parseUnsendArgs(args.what, bot.jobs);
+        const sent = bot.sentMessages(what);
+        if (!sent.length) {
+          await reply(`📭 No sent messages found for ${what.name}.`);
+          return;
+        }
+
+        const status = await bot.progress(msg, senderId, `⏳ Deleting ${what.name} from ${plural(sent.length, "group")}...`);
+        const { done, lines } = await forEachTarget(sent, async (entry) => {
+          const deleted = await bot.deleteSent(entry);
+          return deleted ? `${plural(deleted, "message")} deleted` : "already deleted";
+        });
+        bot.auditLog.record({ event: "unsend", userId, runId: what.runId ?? null, jobId: what.jobId ?? null, targets: sent.length, done });
+        console.log(`🗑 ${what.name} deleted from ${done} of ${sent.length} groups by ${userId}`);
+        await status.finish([`${done === sent.length ? "🗑" : "⚠️"} Deleted ${what.name} from ${done} of ${sent.length} groups`, ...lines].join("\n"));
+      },
+    },
+    {
+      name: "editsent",
+      args: "<run> <text:text>",
+      role: "operator",
+      icon: "✏️",
+      summary: "Replace the text of what a run sent, in every group",
+      details: "Variables like {group_title} are filled in again for each group, and --html/--plain work as for /send. For albums the caption of the first item is replaced; forwarded messages can't be edited.",
+      async handler({ msg, senderId, userId, args, reply }) {
+        const runId = parseRunId(args.run);
+        const content = parseContent(args.text);
+        if (content.files?.length || content.template || content.sourceMode) {
+          throw new UsageError("/editsent only replaces text; send files, templates or copies with /send");
+        }
+        const sent = bot.sentMessages({ runId });
+        if (!sent.length) {
+          await reply(`📭 No sent messages found for run ${runId}.`);
+          return;
+        }
+
+        const status = await bot.progress(msg, senderId, `⏳ Editing run ${runId} in ${plural(sent.length, "group")}...`);
+        const { done, lines } = await forEachTarget(sent, async (entry) => ((await bot.editSent(entry, content)) ? "" : "unchanged"));
+        bot.auditLog.record({ event: "editsent", userId, runId, targets: sent.length, done });
+        console.log(`✏️ Run ${runId} edited in ${done} of ${sent.length} groups by ${userId}`);
+        await status.finish([`${done === sent.length ? "✏️" : "⚠️"} Edited run ${runId} in ${done} of ${sent.length} groups`, ...lines].join("\n"));
+      },
+    },
+  ];
+}
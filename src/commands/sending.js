@@ -0,0 +1,209 @@
+/**
+ * Commands that send a message right away: /send, /sendmulti, /confirm and /cancel,
+ * and /killswitch to stop all sending
+ */
+
+import { UsageError } from "../commandParser.js";
+import { isEmptyContent } from "../messageContent.js";
+
+// Content of a sending command: its message part, or the message it replies to
+export async function commandContent(bot, msg, raw) {
+  const content = await bot.withReplySource(msg, bot.parseMessageContent(raw));
+  if (isEmptyContent(content)) throw new UsageError("Add a message, or reply to the message to send");
+  return content;
+}
+
+// Split a --dry-run flag from a command's group list
+export const takeDryRun = (tokens) => ({
+  dryRun: tokens.includes("--dry-run"),
+  groups: tokens.filter((token) => token !== "--dry-run"),
+});
+
+/**
+ * Run a bulk action now or, when it goes to more targets than configured,
+ * reply with its preview and park it until the user sends /confirm <token>
+ * (or presses its button on the control bot)
+ */
+export async function confirmOrRun(bot, { userId, targetCount, description, preview, reply, run }) {
+  const { confirmations } = bot;
+  if (!confirmations.required(targetCount)) return run();
+
+  const token = confirmations.request(userId, { description, run });
+  const timeout = confirmations.timeoutSeconds >= 60
+    ? `${Math.round(confirmations.timeoutSeconds / 60)} min`
+    : `${confirmations.timeoutSeconds}s`;
+  await reply(`${preview}\n\n⚠️ This ${description} goes to ${targetCount} groups. Send /confirm ${token} within ${timeout} to go ahead.`, {
+    parseMode: false,
+    buttons: [[{ text: "✅ Go ahead", command: `/confirm ${token}` }, { text: "✖️ Cancel", command: `/confirm ${token} cancel` }]],
+  });
+}
+
+const formatProgress = (result, total, run) => {
+  const remaining = total - result.sent - result.failed - result.skipped;
+  const skipped = result.skipped ? `, ${result.skipped} skipped` : "";
+  return `⏳ Sending to ${total} groups: ${result.sent} sent, ${result.failed} failed${skipped}, ${remaining} remaining\nSend /cancel ${run.id} to stop.`;
+};
+
+// Final report of a bulk run: counts, every target that didn't get the message and why,
+// then how to take back or fix what was sent
+export function formatRunSummary(result, total) {
+  const done = result.sent + result.failed + result.skipped;
+  const head = result.interrupted
+    ? `⏸ Interrupted by a restart after ${done} of ${total} groups`
+    : result.cancelled
+    ? `🛑 Cancelled after ${done} of ${total} groups`
+    : `${result.sent === total ? "✓" : "⚠️"} Sent to ${result.sent} of ${total} groups`;
+  const counts = [(result.cancelled || result.interrupted) && `${result.sent} sent`, result.failed && `${result.failed} failed`, result.skipped && `${result.skipped} skipped`]
+    .filter(Boolean)
+    .join(", ");
+  const failures = result.failures.map((failure) => `✗ ${failure.target} — ${failure.reason}`);
+  const notes = [
+    result.interrupted && "The other groups get it once the bot is back.",
+    result.sent && `Run ${result.runId}: /unsend ${result.runId} to delete it, /editsent ${result.runId} <text> to fix it`,
+  ].filter(Boolean);
+  return [`${head}${counts ? ` (${counts})` : ""}`, ...failures, ...notes].join("\n");
+}
+
+export function createSendingCommands(bot) {
+  return [
+    {
+      name: "send",
+      args: "<target> [message:text]",
+      role: "operator",
+      icon: "📤",
+      summary: "Send to one group or #tag",
+      async handler({ msg, userId, args, reply }) {
+        bot.requireSending();
+        const content = await commandContent(bot, msg, args.message);
+        const targets = bot.expandTargets([args.target]);
+        const run = async () => {
+          bot.requireSending(); // the kill switch may have been turned on while waiting for /confirm
+          const result = await bot.sendToTargets(targets, content);
+          await reply(result.sent === targets.length ? `✓ Message sent to ${args.target} (run ${result.runId})` : formatRunSummary(result, targets.length));
+        };
+        if (targets.length === 1) {
+          await run();
+          return;
+        }
+
+        // A #tag stands for several groups, so it needs /confirm like /sendmulti
+        const preview = await bot.previewSend(targets, content);
+        await confirmOrRun(bot, { userId, targetCount: targets.length, description: "send", preview: preview.text, reply, run });
+      },
+    },
+    {
+      name: "sendmulti",
+      args: "<groups...> | [message:text]",
+      role: "operator",
+      icon: "📤",
+      summary: "Send to multiple groups (add --dry-run before the groups to preview)",
+      async handler({ msg, senderId, userId, args, reply }) {
+        const { dryRun, groups } = takeDryRun(args.groups);
+        if (!groups.length) throw new UsageError("Add at least one group");
+        const content = await commandContent(bot, msg, args.message);
+        const targets = bot.expandTargets(groups);
+
+        // Pre-flight: only send where we're allowed to post
+        const preview = await bot.previewSend(targets, content);
+        if (dryRun) {
+          await reply(`🧪 Dry run, nothing was sent.\n\n${preview.text}`, { parseMode: false });
+          return;
+        }
+
+        bot.requireSending();
+        const run = async () => {
+          bot.requireSending(); // the kill switch may have been turned on while waiting for /confirm
+          const total = preview.checks.length;
+          const sendRun = bot.sendRuns.start({ label: `/sendmulti to ${total} groups`, userId, total });
+          // Targets that failed the pre-flight check count as skipped
+          const skipped = preview.checks.filter((check) => !check.ok).map((check) => ({ target: check.target, reason: check.reason }));
+          const counted = (result) => ({ ...result, skipped: result.skipped + skipped.length, failures: [...skipped, ...result.failures] });
+
+          console.log(`\n🤖 Sending to ${preview.sendable.length} groups...`);
+          const status = await bot.progress(msg, senderId, formatProgress(counted({ sent: 0, failed: 0, skipped: 0, failures: [] }), total, sendRun));
+          try {
+            const result = await bot.sendToTargets(preview.sendable, content, {
+              run: sendRun,
+              onProgress: (progress) => status.update(formatProgress(counted(progress), total, sendRun)),
+            });
+            await status.finish(formatRunSummary(counted(result), total));
+          } finally {
+            bot.sendRuns.finish(sendRun);
+          }
+        };
+
+        await confirmOrRun(bot, {
+          userId,
+          targetCount: preview.sendable.length,
+          description: "send",
+          preview: preview.text,
+          reply,
+          run,
+        });
+      },
+    },
+    {
+      name: "confirm",
+      args: "<token> [cancel]",
+      role: "operator",
+      icon: "✅",
+      summary: "Go ahead with a bulk send that is waiting for confirmation (add \"cancel\" to drop it)",
+      async handler({ userId, args, reply }) {
+        if (args.cancel && args.cancel.toLowerCase() !== "cancel") throw new UsageError(`Use "cancel" or nothing after the token, not "${args.cancel}"`);
+        const action = bot.confirmations.take(args.token, userId);
+        if (args.cancel) {
+          await reply(`✖️ Dropped the ${action.description}, nothing was sent.`);
+          return;
+        }
+        await reply(`✓ Confirmed, starting the ${action.description}.`);
+        await action.run();
+      },
+    },
+    {
+      name: "cancel",
+      args: "[run]",
+      role: "operator",
+      icon: "🛑",
+      summary: "Stop a bulk send in progress (your latest one without an ID)",
+      async handler({ userId, args, reply }) {
+        const runs = bot.sendRuns.list();
+        const run = args.run ? bot.sendRuns.get(args.run) : runs.filter((r) => r.userId === userId).pop();
+        if (!run) {
+          if (args.run) throw new Error(`No send in progress with ID ${args.run}`);
+          await reply(runs.length
+            ? `ℹ️ You have no send in progress. Running now:\n${runs.map((r) => `• ${r.id}: ${r.label}`).join("\n")}\nUse /cancel <id>.`
+            : "📭 No send in progress.");
+          return;
+        }
+        run.cancel();
+        console.log(`🛑 Run ${run.id} (${run.label}) cancelled by ${userId}`);
+        await reply(`🛑 Stopping ${run.label} after the current message.`);
+      },
+    },
+    {
+      name: "killswitch",
+      args: "[state]",
+      role: "operator",
+      icon: "⛔",
+      summary: "Stop all sending (on), allow it again (off), or show the state",
+      details: "While the kill switch is on, sends in progress stop before their next message, new sends are refused and auto-send jobs skip their runs. It stays on across restarts.",
+      async handler({ userId, args, reply }) {
+        const { killSwitch } = bot;
+        const state = args.state?.toLowerCase();
+        if (!state) {
+          const since = killSwitch.saved ? ` (set by ${killSwitch.saved.by} at ${new Date(killSwitch.saved.at).toISOString()})` : " (from the config)";
+          await reply(killSwitch.enabled() ? `🟢 Kill switch is off: sending is allowed${since}.` : `⛔ Kill switch is on: nothing is sent${since}.`);
+          return;
+        }
+        if (state !== "on" && state !== "off") throw new UsageError(`Use "on" or "off", not "${args.state}"`);
+
+        killSwitch.set(state === "on", userId);
+        bot.auditLog.record({ event: "killswitch", userId, state });
+        console.log(`${state === "on" ? "⛔" : "▶️"} Kill switch turned ${state} by ${userId}`);
+        await reply(state === "on"
+          ? "⛔ Kill switch on: all sending stopped. Sends in progress stop before their next message and auto-send jobs skip their runs until /killswitch off."
+          : "▶️ Kill switch off: sending is allowed again.");
+      },
+    },
+  ];
+}
@@ -0,0 +1,73 @@
+/**
+ * /template - save, list, show and delete reusable messages
+ */
+
+import { UsageError } from "../commandParser.js";
+
+function describeTemplate(template) {
+  const media = template.source?.messageIds.length || template.files?.length || 0;
+  const kind = media > 1 ? `album of ${media}` : media ? "media" : "text";
+  return `${kind}, ${template.parseMode === "html" ? "HTML" : template.parseMode === false ? "plain" : "markdown"}`;
+}
+
+export function createTemplateCommands(bot) {
+  const { templates } = bot;
+
+  // Build a template from the message the command replies to (text, formatting and
+  // media, including whole albums) or, without a reply, from the command's content.
+  // getAlbumMessages refuses replies sent to the control bot, whose chat the account can't read.
+  async function buildTemplate(msg, rawContent) {
+    const replied = msg.isReply ? await msg.getReplyMessage() : null;
+    if (!replied) {
+      const { text, parseMode, files } = bot.parseMessageContent(rawContent);
+      if (!text && !files?.length) throw new UsageError("Reply to a message or add the template text after the name");
+      return { text, parseMode, files: files || [], source: null };
+    }
+
+    const sourceMessages = await bot.getAlbumMessages(replied);
+    const withMedia = sourceMessages.filter((m) => m.media && m.media.className !== "MessageMediaWebPage");
+    const caption = sourceMessages.find((m) => m.text)?.text || "";
+    return {
+      // Message.text is the markdown rendering of the message's entities
+      text: caption,
+      parseMode: "markdown",
+      files: [],
+      source: withMedia.length ? { chatId: String(replied.chatId), messageIds: withMedia.map((m) => m.id) } : null,
+    };
+  }
+
+  return [
+    {
+      name: "template",
+      args: "[action] [name] [content:text]",
+      role: "operator",
+      icon: "📝",
+      summary: "Reusable messages: save (as a reply, or with text), list, show, delete",
+      details: "`/template save <name>` as a reply to a message, or followed by the text\n`/template list`, `/template show <name>`, `/template delete <name>`\nSend one with `--template=<name>`",
+      async handler({ msg, userId, args, reply }) {
+        const action = (args.action || "list").toLowerCase();
+        const { name } = args;
+
+        if (action === "save" && name) {
+          const template = await buildTemplate(msg, args.content);
+          templates.save(name, { ...template, createdBy: userId });
+          await reply(`✓ Template "${name.toLowerCase()}" saved: ${describeTemplate(template)}\nUse it with --template=${name.toLowerCase()}`);
+        } else if (action === "list") {
+          const list = templates.list();
+          await reply(list.length
+            ? `📝 Templates (${list.length}):\n${list.map((t) => `• ${t.name}: ${describeTemplate(t)}`).join("\n")}`
+            : "📭 No templates. Reply to a message with /template save <name>.");
+        } else if (action === "show" && name) {
+          const template = templates.get(name);
+          if (!template) throw new Error(`Unknown template "${name}"`);
+          await reply(`📝 ${name.toLowerCase()} (${describeTemplate(template)}):\n\n${template.text || "(no text)"}`, { parseMode: false });
+        } else if (action === "delete" && name) {
+          templates.remove(name);
+          await reply(`✓ Template "${name}" deleted.`);
+        } else {
+          throw new UsageError(`Unknown or incomplete action "${action}". See /help template`);
+        }
+      },
+    },
+  ];
+}
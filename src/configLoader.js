@@ -0,0 +1,326 @@
+/**
+ * Config loader
+ * Merges config.js with environment variables and `--set key=value` command
+ * line options (in that order of precedence), checks the result against a
+ * schema and reports every problem at once. watchConfig reloads the file
+ * when it changes.
+ */
+
+import * as fs from "fs";
+import * as path from "path";
+import { fileURLToPath, pathToFileURL } from "url";
+import { isValidTimezone } from "./schedule.js";
+
+export const DEFAULT_CONFIG_FILE = fileURLToPath(new URL("../config.js", import.meta.url));
+
+export class ConfigError extends Error {
+  constructor(problems) {
+    super(`Invalid configuration:\n${problems.map((problem) => `  • ${problem}`).join("\n")}`);
+    this.problems = problems;
+  }
+}
+
+// --- Schema ---
+// A leaf has check(value) -> problem or null, and parse(text) for env/CLI values;
+// lists have `item`, objects have `shape`. `hint` is shown when a setting is missing,
+// and `default` fills it in, so config files from older versions still load.
+
+const parseInteger = (text) => (/^\s*-?\d+\s*$/.test(text) ? Number(text) : text);
+
+const leaf = (check, parse = (text) => text) => ({ check, parse });
+
+const text = ({ required = false } = {}) => leaf((value) => {
+  if (typeof value !== "string") return "must be text";
+  return required && !value.trim() ? "must not be empty" : null;
+});
+
+const integer = ({ min = 0, max = Infinity } = {}) => leaf(
+  (value) => (Number.isInteger(value) && value >= min && value <= max
+    ? null
+    : `must be a whole number ${max === Infinity ? `of ${min} or more` : `from ${min} to ${max}`}`),
+  parseInteger,
+);
+
+const boolean = () => leaf(
+  (value) => (typeof value === "boolean" ? null : "must be true or false"),
+  (text) => (/^(true|1|yes|on)$/i.test(text) ? true : /^(false|0|no|off)$/i.test(text) ? false : text),
+);
+
+const oneOf = (...values) => leaf(
+  (value) => (values.includes(value) ? null : `must be one of ${values.map((v) => `"${v}"`).join(", ")}`),
+);
+
+const timezone = () => leaf((value) => {
+  if (typeof value !== "string") return "must be text";
+  return value && !isValidTimezone(value) ? "is not a known IANA timezone (e.g. Europe/London)" : null;
+});
+
+// @username or a numeric chat ID
+const target = () => leaf(
+  (value) => ((typeof value === "string" && value.trim()) || Number.isInteger(value) ? null : "must be an @username or a chat ID"),
+  parseInteger,
+);
+
+const list = (item, separator = /\s*,\s*/) => ({
+  item,
+  parse: (text) => text.split(separator).filter(Boolean).map(item.parse),
+});
+
+const object = (shape) => ({ shape });
+
+const optional = (node) => ({ ...node, optional: true });
+const withHint = (node, hint) => ({ ...node, hint });
+const withDefault = (node, value) => ({ ...node, default: value });
+
+const port = () => integer({ max: 65535 });
+
+export const configSchema = object({
+  apiId: withHint(integer({ min: 1 }), "set API_ID in .env"),
+  apiHash: withHint(text({ required: true }), "set API_HASH in .env"),
+  phoneNumber: optional(text()),
+  targetGroups: withDefault(list(target()), []),
+  messageDelay: withDefault(integer(), 5000),
+  sendLimits: object({
+    maxPerMinute: withDefault(integer({ min: 1 }), 20),
+    minGapMs: withDefault(integer(), 1000),
+    maxRetries: withDefault(integer(), 3),
+    maxWaitSeconds: withDefault(integer(), 900),
+  }),
+  confirmBulkSends: object({
+    aboveTargets: withDefault(integer(), 10),
+    timeoutSeconds: withDefault(integer({ min: 1 }), 120),
+  }),
+  autoMessageEnabled: withDefault(boolean(), true),
+  autoBlockAfter: withDefault(integer(), 3),
+  autoSendCatchUp: withDefault(oneOf("skip", "once"), "skip"),
+  timezone: withDefault(timezone(), ""),
+  mediaDir: withDefault(text(), "media"),
+  roles: object({
+    owners: withDefault(list(integer({ min: 1 }), /[\s,]+/), []),
+    operators: withDefault(list(integer({ min: 1 }), /[\s,]+/), []),
+    viewers: withDefault(list(integer({ min: 1 }), /[\s,]+/), []),
+  }),
+  unauthorizedReply: object({
+    mode: withDefault(oneOf("ignore", "reply"), "ignore"),
+    message: withDefault(text(), "This account does not accept commands."),
+  }),
+  watchdog: object({
+    intervalSeconds: withDefault(integer({ min: 1 }), 60),
+    timeoutSeconds: withDefault(integer({ min: 1 }), 15),
+    maxBackoffSeconds: withDefault(integer({ min: 1 }), 300),
+  }),
+  shutdownTimeoutSeconds: withDefault(integer({ min: 1 }), 10),
+  healthCheck: object({
+    enabled: withDefault(boolean(), false),
+    host: withDefault(text({ required: true }), "0.0.0.0"),
+    port: withDefault(port(), 8080),
+  }),
+  adminApi: object({
+    enabled: withDefault(boolean(), false),
+    host: withDefault(text({ required: true }), "127.0.0.1"),
+    port: withDefault(port(), 8787),
+    token: withDefault(text(), ""),
+  }),
+  controlBot: object({
+    enabled: withDefault(boolean(), false),
+    token: withDefault(text(), ""),
+  }),
+  sessionDir: withDefault(text({ required: true }), "./session"),
+});
+
+// Settings older config files may still have, and why they are ignored
+const RETIRED_SETTINGS = {
+  autoMessages: "nothing ever sent these messages",
+};
+
+// Rules that involve more than one setting
+const crossChecks = [
+  (config) => config.adminApi?.enabled && !config.adminApi.token
+    && "adminApi.token: is required when the admin API is enabled (or set ADMIN_API_TOKEN)",
+  (config) => config.unauthorizedReply?.mode === "reply" && !config.unauthorizedReply.message
+    && "unauthorizedReply.message: is required when mode is \"reply\"",
+  (config) => config.controlBot?.enabled && !/^\d+:[\w-]+$/.test(config.controlBot.token || "")
+    && "controlBot.token: needs a bot token from @BotFather when the control bot is enabled (or set BOT_TOKEN)",
+];
+
+// Environment variables and the settings they override; `also` is set alongside,
+// `append` adds to a list instead of replacing it. Later entries win.
+const ENV_SETTINGS = [
+  { env: "API_ID", key: "apiId" },
+  { env: "API_HASH", key: "apiHash" },
+  { env: "PHONE_NUMBER", key: "phoneNumber" },
+  { env: "TARGET_GROUPS", key: "targetGroups" },
+  { env: "MESSAGE_DELAY", key: "messageDelay" },
+  { env: "AUTO_MESSAGE_ENABLED", key: "autoMessageEnabled" },
+  { env: "TIMEZONE", key: "timezone" },
+  { env: "OWNER_IDS", key: "roles.owners", append: true },
+  { env: "OPERATOR_IDS", key: "roles.operators", append: true },
+  { env: "VIEWER_IDS", key: "roles.viewers", append: true },
+  { env: "PORT", key: "healthCheck.port", also: { "healthCheck.enabled": true } },
+  { env: "HEALTH_PORT", key: "healthCheck.port", also: { "healthCheck.enabled": true } },
+  { env: "ADMIN_API_TOKEN", key: "adminApi.token", also: { "adminApi.enabled": true } },
+  { env: "ADMIN_API_PORT", key: "adminApi.port" },
+  { env: "BOT_TOKEN", key: "controlBot.token", also: { "controlBot.enabled": true } },
+];
+
+// --- Validation and merging ---
+
+const isObject = (value) => value !== null && typeof value === "object" && !Array.isArray(value);
+
+const joinKey = (parent, key) => (parent ? `${parent}.${key}` : key);
+
+function validate(node, value, at, problems) {
+  if (value === undefined || value === null) {
+    if (!node.optional) problems.push(`${at}: is missing${node.hint ? ` (${node.hint})` : ""}`);
+    return;
+  }
+  if (node.shape) {
+    if (!isObject(value)) return problems.push(`${at || "config"}: must be an object`);
+    for (const key of Object.keys(value)) {
+      if (!(key in node.shape)) problems.push(`${joinKey(at, key)}: unknown setting`);
+    }
+    for (const [key, child] of Object.entries(node.shape)) validate(child, value[key], joinKey(at, key), problems);
+  } else if (node.item) {
+    if (!Array.isArray(value)) return problems.push(`${at}: must be a list`);
+    value.forEach((item, i) => validate(node.item, item, `${at}[${i}]`, problems));
+  } else {
+    const problem = node.check(value);
+    if (problem) problems.push(`${at}: ${problem} (got ${JSON.stringify(value)})`);
+  }
+}
+
+// The value with missing settings filled in from the schema's defaults;
+// a missing object is filled in from its settings' defaults
+function withDefaults(node, value) {
+  if (value === undefined || value === null) {
+    if ("default" in node) return structuredClone(node.default);
+    if (!node.shape) return value;
+    value = {};
+  }
+  if (!node.shape || !isObject(value)) return value;
+  const filled = { ...value };
+  for (const [key, child] of Object.entries(node.shape)) {
+    const childValue = withDefaults(child, value[key]);
+    if (childValue !== undefined) filled[key] = childValue;
+  }
+  return filled;
+}
+
+// The schema node for a dotted key like "sendLimits.maxPerMinute", or null
+function schemaAt(key) {
+  let node = configSchema;
+  for (const part of key.split(".")) {
+    node = node.shape?.[part];
+    if (!node) return null;
+  }
+  return node;
+}
+
+function setAt(config, key, value) {
+  const parts = key.split(".");
+  const last = parts.pop();
+  let parent = config;
+  for (const part of parts) {
+    if (!isObject(parent[part])) parent[part] = {};
+    parent = parent[part];
+  }
+  parent[last] = value;
+}
+
+const getAt = (config, key) => key.split(".").reduce((value, part) => value?.[part], config);
+
+// `--set key=value` options, e.g. --set messageDelay=3000 (also --set=key=value)
+export function parseSetOptions(argv) {
+  const sets = [];
+  argv.forEach((arg, i) => {
+    if (arg === "--set" && argv[i + 1]) sets.push(argv[i + 1]);
+    else if (arg.startsWith("--set=")) sets.push(arg.slice("--set=".length));
+  });
+  return sets;
+}
+
+// The config file from --config <file>, or config.js next to bot.js
+export function configFileFrom(argv) {
+  const i = argv.indexOf("--config");
+  return i !== -1 && argv[i + 1] ? path.resolve(argv[i + 1]) : DEFAULT_CONFIG_FILE;
+}
+
+// Import the config file; a query string bypasses the module cache so reloads see changes
+async function importConfigFile(file) {
+  const module = await import(`${pathToFileURL(file).href}?t=${Date.now()}`);
+  const config = module.config ?? module.default;
+  if (!isObject(config)) throw new Error(`${file} must export a "config" object`);
+  return structuredClone(config);
+}
+
+/**
+ * Load and validate the configuration
+ * @param {object} [options]
+ * @param {string} [options.file] - config module to load (default: config.js)
+ * @param {Record<string, string|undefined>} [options.env]
+ * @param {string[]} [options.argv] - command line arguments, for --set
+ * @returns {Promise<object>} the merged config
+ * @throws {ConfigError} listing every problem found
+ */
+export async function loadConfig({ file = DEFAULT_CONFIG_FILE, env = process.env, argv = [] } = {}) {
+  let config;
+  try {
+    config = await importConfigFile(file);
+  } catch (error) {
+    throw new ConfigError([`${path.basename(file)}: ${error.message}`]);
+  }
+  for (const [key, reason] of Object.entries(RETIRED_SETTINGS)) {
+    if (!(key in config)) continue;
+    console.log(`⚠️ ${key} in ${path.basename(file)} is no longer used (${reason}); you can delete it`);
+    delete config[key];
+  }
+  config = withDefaults(configSchema, config);
+  const problems = [];
+
+  for (const { env: name, key, also = {}, append } of ENV_SETTINGS) {
+    const value = env[name];
+    if (value === undefined || value === "") continue;
+    const parsed = schemaAt(key).parse(value);
+    setAt(config, key, append ? [...(getAt(config, key) || []), ...parsed] : parsed);
+    Object.entries(also).forEach(([alsoKey, alsoValue]) => setAt(config, alsoKey, alsoValue));
+  }
+
+  for (const option of parseSetOptions(argv)) {
+    const [key, ...rest] = option.split("=");
+    const node = schemaAt(key);
+    if (!node || node.shape || !rest.length) {
+      problems.push(`--set ${option}: ${node ? "use --set <setting>=<value>" : "unknown setting"}`);
+      continue;
+    }
+    setAt(config, key, node.parse(rest.join("=")));
+  }
+
+  validate(configSchema, config, "", problems);
+  for (const check of crossChecks) {
+    const problem = check(config);
+    if (problem) problems.push(problem);
+  }
+  if (problems.length) throw new ConfigError(problems);
+  return config;
+}
+
+/**
+ * Reload the config file whenever it changes
+ * Invalid changes are reported and ignored, keeping the current settings.
+ * @param {object} options - as for loadConfig
+ * @param {(config: object) => void} onChange
+ * @returns {() => void} stops watching
+ */
+export function watchConfig(options, onChange) {
+  const file = options.file || DEFAULT_CONFIG_FILE;
+  const listener = async (current, previous) => {
+    if (current.mtimeMs === previous.mtimeMs) return;
+    try {
+      onChange(await loadConfig(options));
+    } catch (error) {
+      console.error(`✗ ${path.basename(file)} changed but was not applied. ${error.message}`);
+    }
+  };
+  fs.watchFile(file, { interval: 1000 }, listener);
+  return () => fs.unwatchFile(file, listener);
+}
@@ -0,0 +1,59 @@
+/**
+ * Pending bulk sends waiting for /confirm <token>
+ * Sends to many targets are parked here with a short random token; the user
+ * who started them has a limited time to confirm before they expire.
+ */
+
+import { randomBytes } from "crypto";
+
+/**
+ * @param {object} options
+ * @param {number} options.aboveTargets - sends to more targets than this need confirming (0 disables)
+ * @param {number} options.timeoutSeconds - how long a confirmation stays valid
+ */
+export function createConfirmations({ aboveTargets = 0, timeoutSeconds = 120 } = {}) {
+  let settings = { aboveTargets, timeoutSeconds };
+  const pending = new Map();
+
+  const prune = () => {
+    for (const [token, entry] of pending) {
+      if (entry.expiresAt <= Date.now()) pending.delete(token);
+    }
+  };
+
+  return {
+    get timeoutSeconds() {
+      return settings.timeoutSeconds;
+    },
+
+    required: (targetCount) => settings.aboveTargets > 0 && targetCount > settings.aboveTargets,
+
+    // Apply reloaded settings; pending confirmations keep their expiry
+    configure(options) {
+      settings = { ...settings, ...options };
+    },
+
+    // Park an action until its user confirms it; returns the token to confirm with
+    request(userId, action) {
+      prune();
+      let token;
+      do token = randomBytes(3).toString("hex"); while (pending.has(token));
+      pending.set(token, { userId: Number(userId), action, expiresAt: Date.now() + settings.timeoutSeconds * 1000 });
+      return token;
+    },
+
+    // Take a pending action; throws when the token is unknown, expired or someone else's
+    take(token, userId) {
+      const key = String(token).toLowerCase();
+      const entry = pending.get(key);
+      if (!entry) throw new Error(`Nothing to confirm with token ${token}`);
+      if (entry.expiresAt <= Date.now()) {
+        pending.delete(key);
+        throw new Error(`Token ${token} expired. Run the command again.`);
+      }
+      if (entry.userId !== Number(userId)) throw new Error(`Token ${token} belongs to another user`);
+      pending.delete(key);
+      return entry.action;
+    },
+  };
+}
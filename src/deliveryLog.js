@@ -0,0 +1,89 @@
+/**
+ * Append-only delivery log
+ * Every send attempt is written as one JSON line so we keep a history of what
+ * was sent where, for /report and CSV export
+ */
+
+import * as fs from "fs";
+
+const CSV_COLUMNS = ["ts", "runId", "jobId", "target", "chatId", "messageId", "outcome", "error"];
+
+// Name of the error class, e.g. FLOOD_WAIT or CHAT_WRITE_FORBIDDEN for Telegram RPC errors
+export const errorClass = (error) => error.errorMessage || error.constructor?.name || "Error";
+
+export function createDeliveryLog(filePath) {
+  // Read entries, optionally only those since a timestamp and/or for one job or run
+  function read({ since = 0, jobId = null, runId = null } = {}) {
+    if (!fs.existsSync(filePath)) return [];
+
+    return fs.readFileSync(filePath, "utf-8")
+      .split("\n")
+      .filter((line) => line.trim())
+      .flatMap((line) => {
+        try {
+          return [JSON.parse(line)];
+        } catch (error) {
+          return []; // Skip a line cut short by a crash
+        }
+      })
+      .filter((entry) => Date.parse(entry.ts) >= since
+        && (jobId === null || entry.jobId === jobId)
+        && (runId === null || entry.runId === runId));
+  }
+
+  return {
+    /**
+     * @param {{runId?: number|null, jobId?: number|null, target: string, chatId?: string|null,
+     *   messageId?: number|null, messageIds?: number[], outcome: "sent"|"failed"|"skipped",
+     *   error?: string|null}} entry - messageIds lists every message of an album or forward
+     */
+    record(entry) {
+      const line = {
+        ts: new Date().toISOString(),
+        runId: null,
+        jobId: null,
+        chatId: null,
+        messageId: null,
+        error: null,
+        ...entry,
+      };
+      try {
+        fs.appendFileSync(filePath, JSON.stringify(line) + "\n");
+      } catch (error) {
+        console.error(`✗ Could not write delivery log: ${error.message}`);
+      }
+    },
+
+    read,
+
+    // The highest run ID in the log (0 when there is none)
+    lastRunId() {
+      return read().reduce((max, entry) => Math.max(max, entry.runId || 0), 0);
+    },
+  };
+}
+
+// Per-target sent/failed/skipped counts with the most recent error
+export function summarizeDeliveries(entries) {
+  const byTarget = new Map();
+  for (const entry of entries) {
+    const summary = byTarget.get(entry.target) || { target: entry.target, sent: 0, failed: 0, skipped: 0, lastError: null };
+    if (entry.outcome === "sent") summary.sent++;
+    else if (entry.outcome === "skipped") summary.skipped++;
+    else {
+      summary.failed++;
+      summary.lastError = entry.error;
+    }
+    byTarget.set(entry.target, summary);
+  }
+  return [...byTarget.values()];
+}
+
+export function deliveriesToCsv(entries) {
+  const escape = (value) => {
+    const text = value === null || value === undefined ? "" : String(value);
+    return /[",\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+  };
+  const rows = entries.map((entry) => CSV_COLUMNS.map((column) => escape(entry[column])).join(","));
+  return [CSV_COLUMNS.join(","), ...rows].join("\n") + "\n";
+}
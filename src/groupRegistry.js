@@ -0,0 +1,133 @@
+/**
+ * Registry of target groups
+ * Maps short aliases and #tags to group IDs/@usernames so sending commands
+ * don't need raw targets every time. Persisted as JSON under the session directory.
+ */
+
+import * as fs from "fs";
+
+const normalizeAlias = (alias) => String(alias).trim().replace(/^@/, "").toLowerCase();
+const normalizeTag = (tag) => String(tag).trim().replace(/^#/, "").toLowerCase();
+
+// Alias suggestion for a discovered group: its username, else a slug of its title
+const suggestAlias = ({ username, title, target }) => {
+  if (username) return normalizeAlias(username);
+  const slug = String(title || "").toLowerCase().replace(/[^a-z0-9]+/g, "_").replace(/^_+|_+$/g, "").slice(0, 32);
+  return slug || String(target);
+};
+
+export function createGroupRegistry({ filePath }) {
+  let groups = [];
+  if (fs.existsSync(filePath)) {
+    try {
+      groups = JSON.parse(fs.readFileSync(filePath, "utf-8")).groups || [];
+    } catch (error) {
+      console.error(`✗ Could not read group registry ${filePath}: ${error.message}`);
+    }
+  }
+
+  const save = () => fs.writeFileSync(filePath, JSON.stringify({ groups }, null, 2));
+
+  const find = (alias) => groups.find((group) => group.alias === normalizeAlias(alias));
+  const findByTarget = (target) => groups.find((group) => String(group.target) === String(target));
+
+  const uniqueAlias = (base) => {
+    let alias = base;
+    for (let i = 2; find(alias); i++) alias = `${base}_${i}`;
+    return alias;
+  };
+
+  return {
+    find,
+    list: (tag) => (tag ? groups.filter((group) => group.tags.includes(normalizeTag(tag))) : groups),
+
+    add(alias, target, title = null) {
+      const key = normalizeAlias(alias);
+      if (!key || key.startsWith("#")) throw new Error(`Invalid alias "${alias}"`);
+      const existing = find(key);
+      if (existing) {
+        existing.target = String(target);
+        if (title) existing.title = title;
+      } else {
+        groups.push({ alias: key, target: String(target), title, tags: [] });
+      }
+      save();
+      return find(key);
+    },
+
+    remove(alias) {
+      const group = find(alias);
+      if (!group) throw new Error(`Unknown group alias "${alias}"`);
+      groups = groups.filter((g) => g !== group);
+      save();
+    },
+
+    tag(alias, tag) {
+      const group = find(alias);
+      if (!group) throw new Error(`Unknown group alias "${alias}"`);
+      const key = normalizeTag(tag);
+      if (!key) throw new Error("Tag can't be empty");
+      if (!group.tags.includes(key)) group.tags.push(key);
+      save();
+      return group;
+    },
+
+    untag(alias, tag) {
+      const group = find(alias);
+      if (!group) throw new Error(`Unknown group alias "${alias}"`);
+      group.tags = group.tags.filter((t) => t !== normalizeTag(tag));
+      save();
+      return group;
+    },
+
+    /**
+     * Add groups that aren't registered yet (from config.targetGroups or /has)
+     * @param {{target: string|number, title?: string, username?: string}[]} entries
+     * @returns {number} how many groups were added
+     */
+    seed(entries) {
+      let added = 0;
+      for (const entry of entries) {
+        const known = findByTarget(entry.target) || (entry.username && findByTarget(`@${entry.username}`));
+        if (known) {
+          if (entry.title && !known.title) known.title = entry.title;
+          continue;
+        }
+        groups.push({
+          alias: uniqueAlias(suggestAlias(entry)),
+          target: String(entry.target),
+          title: entry.title || null,
+          tags: [],
+        });
+        added++;
+      }
+      save();
+      return added;
+    },
+
+    // Registered alias of a raw target, if any
+    aliasOf: (target) => findByTarget(target)?.alias || null,
+
+    /**
+     * Expand command tokens into raw targets: "#tag" becomes every group with
+     * that tag, an alias becomes its target, anything else is used as-is
+     * @returns {{targets: string[], unknownTags: string[]}}
+     */
+    expand(tokens) {
+      const targets = [];
+      const unknownTags = [];
+      for (const token of tokens) {
+        if (token.startsWith("#")) {
+          const tagged = groups.filter((group) => group.tags.includes(normalizeTag(token)));
+          if (tagged.length === 0) unknownTags.push(token);
+          tagged.forEach((group) => targets.push(group.target));
+        } else {
+          // "@username" is always a raw target, never an alias
+          const group = token.startsWith("@") ? null : find(token);
+          targets.push(group ? group.target : token);
+        }
+      }
+      return { targets: [...new Set(targets)], unknownTags };
+    },
+  };
+}
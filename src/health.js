@@ -0,0 +1,31 @@
+/**
+ * Health check endpoint for hosting platforms
+ * GET /healthz answers 200 while the Telegram connection is up and 503 when it
+ * is down, with the details as JSON. It needs no token so platforms can poll it.
+ */
+
+import * as http from "http";
+
+// Write a health report as the response; true when the request was for /healthz
+export function handleHealthz(req, res, getHealth) {
+  if (req.method !== "GET" || new URL(req.url, "http://localhost").pathname !== "/healthz") return false;
+  const health = getHealth();
+  res.writeHead(health.ok ? 200 : 503, { "Content-Type": "application/json" });
+  res.end(JSON.stringify(health, null, 2));
+  return true;
+}
+
+/**
+ * @param {{ host: string, port: number, getHealth: () => { ok: boolean } }} options
+ * @returns {http.Server}
+ */
+export function startHealthServer({ host = "0.0.0.0", port, getHealth }) {
+  const server = http.createServer((req, res) => {
+    if (handleHealthz(req, res, getHealth)) return;
+    res.writeHead(404, { "Content-Type": "application/json" });
+    res.end(JSON.stringify({ error: "Not found" }));
+  });
+  server.listen(port, host, () => console.log(`✓ Health check on http://${host}:${server.address().port}/healthz`));
+  server.on("error", (error) => console.error(`✗ Health check server: ${error.message}`));
+  return server;
+}
@@ -0,0 +1,27 @@
+/**
+ * Text formatting of auto-send jobs for command replies and logs
+ */
+
+import { describeContent } from "./messageContent.js";
+import { describeSchedule, formatTimeIn } from "./schedule.js";
+
+export const formatJobName = (job) => (job.name ? `#${job.id} "${job.name}"` : `#${job.id}`);
+
+const formatTime = (timestamp) => (timestamp ? new Date(timestamp).toISOString().replace("T", " ").slice(0, 19) + " UTC" : "—");
+
+const statusIcons = { active: "▶️", paused: "⏸", done: "✅" };
+
+export function formatJob(job) {
+  const lastResult = job.lastResult
+    ? `${job.lastResult.sent} sent, ${job.lastResult.failed} failed (${formatTime(job.lastResult.at)})`
+    : "not run yet";
+  const nextRun = job.status === "active" ? formatTimeIn(job.nextRunAt, job.timezone) : job.status;
+  const pausedTargets = job.pausedTargets.length
+    ? `\n   Paused targets: ${job.pausedTargets.map((entry) => `${entry.target} (${entry.reason})`).join(", ")}`
+    : "";
+  return `${statusIcons[job.status]} **${formatJobName(job)}** ${describeSchedule(job)}
+   Targets: ${job.groups.join(", ")}${pausedTargets}
+   Message: ${describeContent(job.message)}
+   Next run: ${nextRun}
+   Last result: ${lastResult}`;
+}
@@ -0,0 +1,210 @@
+/**
+ * Registry of /autosend jobs
+ * Owns the persisted job list and the timer behind each active job
+ */
+
+import { loadJobStore, saveJobStore } from "./jobStore.js";
+import { getNextRun, MAX_TIMER_DELAY } from "./schedule.js";
+
+// Jobs saved before schedules were introduced only had an interval
+function migrateJob(job) {
+  if (!job.schedule && job.intervalMs) {
+    job.schedule = { type: "interval", everyMs: job.intervalMs, text: job.intervalText };
+    delete job.intervalMs;
+    delete job.intervalText;
+  }
+  job.status = job.status || "active";
+  job.window = job.window || null;
+  job.pausedTargets = job.pausedTargets || [];
+  job.nextRunAt = null;
+  return job;
+}
+
+/**
+ * @param {object} options
+ * @param {string} options.filePath - JSON file the jobs are persisted to
+ * @param {(job: object) => Promise<{sent: number, failed: number}>} options.runJob - sends one tick of a job
+ * @param {"skip"|"once"} [options.catchUp] - policy for runs missed while offline
+ */
+export function createJobRegistry({ filePath, runJob, catchUp = "skip" }) {
+  const store = loadJobStore(filePath);
+  store.jobs.forEach(migrateJob);
+  const timers = new Map();
+  // While suspended (e.g. disconnected) job timers aren't armed; statuses are left alone
+  let suspended = false;
+
+  const save = () => saveJobStore(filePath, store);
+
+  const clearTimer = (job) => {
+    clearTimeout(timers.get(job.id));
+    timers.delete(job.id);
+    job.nextRunAt = null;
+  };
+
+  // Arm the timer for job.nextRunAt, re-arming in steps for delays setTimeout can't hold
+  const armTimer = (job) => {
+    if (suspended) return;
+    const delay = Math.max(0, job.nextRunAt - Date.now());
+    const timer = delay > MAX_TIMER_DELAY
+      ? setTimeout(() => armTimer(job), MAX_TIMER_DELAY)
+      : setTimeout(() => tick(job), delay);
+    timers.set(job.id, timer);
+  };
+
+  // Schedule the next run after `from`; one-shot jobs with nothing left become "done"
+  const scheduleNext = (job, from = Date.now()) => {
+    clearTimer(job);
+    const next = getNextRun(job, from);
+    if (!next) {
+      job.status = "done";
+      return;
+    }
+    job.nextRunAt = next;
+    armTimer(job);
+  };
+
+  const tick = async (job) => {
+    const scheduledAt = job.nextRunAt || Date.now();
+    scheduleNext(job, Math.max(scheduledAt, Date.now() - 1000));
+    job.lastRunAt = Date.now();
+    save();
+
+    try {
+      const result = await runJob(job);
+      job.lastResult = { at: Date.now(), ...result };
+    } catch (error) {
+      console.error(`✗ Auto-send job #${job.id} failed: ${error.message}`);
+      job.lastResult = { at: Date.now(), sent: 0, failed: job.groups.length, error: error.message };
+    }
+    // The job may have been stopped while it was running
+    if (store.jobs.includes(job)) save();
+  };
+
+  // Schedule a restored job, applying the catch-up policy to runs missed while offline
+  const restoreJob = (job, now = Date.now()) => {
+    const base = job.lastRunAt || job.createdAt;
+    const missedAt = getNextRun(job, base);
+    const missed = missedAt !== null && missedAt <= now;
+
+    if (missed && catchUp === "once") {
+      clearTimer(job);
+      job.nextRunAt = now;
+      armTimer(job);
+    } else if (job.schedule.type === "interval") {
+      // Keep the original cadence instead of restarting the interval now
+      const everyMs = job.schedule.everyMs;
+      scheduleNext(job, now - ((now - base) % everyMs));
+    } else {
+      scheduleNext(job, now);
+    }
+  };
+
+  return {
+    list: () => store.jobs,
+
+    // Find a job by numeric ID or by name
+    get(ref) {
+      const key = String(ref).replace(/^#/, "").toLowerCase();
+      return store.jobs.find((job) => String(job.id) === key || (job.name && job.name.toLowerCase() === key));
+    },
+
+    create({ name, groups, schedule, timezone, window, message, createdBy }) {
+      const job = {
+        id: store.nextId++,
+        name: name || null,
+        groups,
+        schedule,
+        timezone,
+        window: window || null,
+        message,
+        createdBy,
+        createdAt: Date.now(),
+        lastRunAt: null,
+        lastResult: null,
+        pausedTargets: [],
+        status: "active",
+      };
+      store.jobs.push(job);
+      scheduleNext(job);
+      save();
+      return job;
+    },
+
+    pause(job) {
+      clearTimer(job);
+      job.status = "paused";
+      save();
+    },
+
+    // Resuming a job also gives its auto-paused targets another chance
+    resume(job) {
+      job.status = "active";
+      job.pausedTargets = [];
+      scheduleNext(job);
+      save();
+    },
+
+    /**
+     * Stop sending to targets that failed the pre-flight check, keeping the rest of the job running
+     * @param {{target: string, reason: string}[]} targets
+     */
+    pauseTargets(job, targets) {
+      job.pausedTargets = [
+        ...(job.pausedTargets || []),
+        ...targets.map(({ target, reason }) => ({ target, reason, at: Date.now() })),
+      ];
+      save();
+    },
+
+    // Apply changes to a job and reschedule it if its timing changed
+    edit(job, changes) {
+      Object.assign(job, changes);
+      const timingChanged = "schedule" in changes || "timezone" in changes || "window" in changes;
+      if (timingChanged && job.status !== "paused") {
+        job.status = "active";
+        scheduleNext(job);
+      }
+      save();
+    },
+
+    stop(job) {
+      clearTimer(job);
+      store.jobs = store.jobs.filter((j) => j !== job);
+      save();
+    },
+
+    stopAll() {
+      store.jobs.forEach(clearTimer);
+      store.jobs = [];
+      save();
+    },
+
+    // Hold all timers, e.g. while the connection is down
+    suspend() {
+      if (suspended) return;
+      suspended = true;
+      timers.forEach((timer) => clearTimeout(timer));
+      timers.clear();
+    },
+
+    // Re-arm active jobs after suspend(), applying the catch-up policy to runs missed meanwhile
+    unsuspend() {
+      if (!suspended) return;
+      suspended = false;
+      store.jobs.filter((job) => job.status === "active").forEach((job) => restoreJob(job));
+      save();
+    },
+
+    get suspended() {
+      return suspended;
+    },
+
+    // Reschedule active jobs loaded from disk
+    restore() {
+      const active = store.jobs.filter((job) => job.status === "active");
+      active.forEach((job) => restoreJob(job));
+      save();
+      return active;
+    },
+  };
+}
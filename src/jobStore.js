@@ -0,0 +1,31 @@
+/**
+ * Persistent storage for /autosend jobs
+ * Jobs are kept in a JSON file under the session directory so they survive restarts
+ */
+
+import * as fs from "fs";
+
+const emptyStore = () => ({ nextId: 1, jobs: [] });
+
+// Load the job store from disk (returns an empty store if the file is missing)
+export function loadJobStore(filePath) {
+  if (!fs.existsSync(filePath)) return emptyStore();
+
+  try {
+    const data = JSON.parse(fs.readFileSync(filePath, "utf-8"));
+    return {
+      nextId: Number(data.nextId) || 1,
+      jobs: Array.isArray(data.jobs) ? data.jobs : [],
+    };
+  } catch (error) {
+    console.error(`✗ Could not read job store ${filePath}: ${error.message}`);
+    return emptyStore();
+  }
+}
+
+// Write the job store atomically so a crash mid-write can't corrupt it
+export function saveJobStore(filePath, store) {
+  const tmpFile = `${filePath}.tmp`;
+  fs.writeFileSync(tmpFile, JSON.stringify(store, null, 2));
+  fs.renameSync(tmpFile, filePath);
+}
@@ -0,0 +1,74 @@
+/**
+ * Global kill switch
+ * Sending is allowed while config.autoMessageEnabled is true. /killswitch
+ * flips it at runtime and the decision is saved, so a restart doesn't quietly
+ * start sending again. The decision remembers the config value it was made
+ * against: once the config (or AUTO_MESSAGE_ENABLED) says something else, at
+ * startup or on a reload, the config value applies again.
+ */
+
+import * as fs from "fs";
+
+/**
+ * @param {object} options
+ * @param {string} options.filePath - JSON file the last /killswitch decision is saved to
+ * @param {object} options.config - live config; autoMessageEnabled is read and written here
+ */
+export function createKillSwitch({ filePath, config }) {
+  let fileValue = config.autoMessageEnabled; // as the config has it, before any /killswitch
+  let saved = null; // { autoMessageEnabled, fileValue, by, at }
+  if (fs.existsSync(filePath)) {
+    try {
+      saved = JSON.parse(fs.readFileSync(filePath, "utf-8"));
+    } catch (error) {
+      console.error(`✗ Could not read kill switch file ${filePath}: ${error.message}`);
+    }
+  }
+
+  const clear = () => {
+    saved = null;
+    fs.rmSync(filePath, { force: true });
+  };
+
+  // A decision made against another config value is outdated; files from before
+  // fileValue was saved only give way to a config that stops sending
+  const outdated = saved && ("fileValue" in saved ? saved.fileValue !== fileValue : fileValue === false);
+  if (outdated) {
+    console.log(`♻️ autoMessageEnabled in the config changed since the last /killswitch; using the config value (${fileValue})`);
+    clear();
+  }
+  if (saved) config.autoMessageEnabled = saved.autoMessageEnabled;
+
+  return {
+    // Whether messages may be sent
+    enabled: () => config.autoMessageEnabled !== false,
+
+    /**
+     * Stop (engaged = true) or allow sending
+     * @param {boolean} engaged
+     * @param {number|null} by - user who flipped it
+     */
+    set(engaged, by) {
+      config.autoMessageEnabled = !engaged;
+      saved = { autoMessageEnabled: !engaged, fileValue, by, at: Date.now() };
+      fs.writeFileSync(filePath, JSON.stringify(saved, null, 2));
+    },
+
+    // A reloaded config with a new autoMessageEnabled replaces the last decision
+    configChanged(value) {
+      fileValue = value;
+      config.autoMessageEnabled = value;
+      clear();
+    },
+
+    // autoMessageEnabled as the config has it
+    get fileValue() {
+      return fileValue;
+    },
+
+    // The last /killswitch decision, or null when the config value applies
+    get saved() {
+      return saved;
+    },
+  };
+}
@@ -0,0 +1,73 @@
+/**
+ * Interactive account login for startBot and `npm run login`
+ * Signs in with a code sent to the phone or by scanning a QR code in the
+ * Telegram app, and asks for the cloud password on accounts with 2FA.
+ */
+
+import { Api } from "telegram/tl/index.js";
+import qrcode from "qrcode-terminal";
+
+// Ask for the 2FA password until it is right; other errors end the login
+const passwordParams = (ask) => ({
+  password: (hint) => ask(`\n🔑 Enter your 2FA password${hint ? ` (hint: ${hint})` : ""}: `),
+  onError: async (error) => {
+    if (error.errorMessage === "PASSWORD_HASH_INVALID") {
+      console.log("✗ Wrong password, try again");
+      return false;
+    }
+    console.error("✗ Auth error:", error.errorMessage || error.message);
+    return true;
+  },
+});
+
+/**
+ * Sign in with a code sent to the phone (Telegram app or SMS)
+ * @param {import("telegram").TelegramClient} client
+ * @param {{ apiId: number, apiHash: string, phoneNumber: string, ask: (prompt: string) => Promise<string> }} options
+ */
+export async function loginWithCode(client, { apiId, apiHash, phoneNumber, ask }) {
+  if (!phoneNumber) throw new Error("PHONE_NUMBER is needed to log in with a code (or log in with a QR code)");
+  console.log(`📲 Phone number: ${phoneNumber}`);
+
+  // Send auth code request
+  const result = await client.invoke(
+    new Api.auth.SendCode({
+      phoneNumber: phoneNumber,
+      apiId: apiId,
+      apiHash: apiHash,
+      settings: new Api.CodeSettings(),
+    })
+  );
+
+  console.log("✓ Code sent!");
+  const code = await ask("\n📲 Enter verification code: ");
+
+  // Sign in
+  try {
+    await client.invoke(
+      new Api.auth.SignIn({
+        phoneNumber: phoneNumber,
+        phoneCodeHash: result.phoneCodeHash,
+        phoneCode: code.trim(),
+      })
+    );
+  } catch (error) {
+    if (error.errorMessage !== "SESSION_PASSWORD_NEEDED") throw error;
+    console.log("🔐 This account has two-step verification enabled");
+    await client.signInWithPassword({ apiId, apiHash }, passwordParams(ask));
+  }
+}
+
+/**
+ * Sign in by scanning a QR code with the Telegram app
+ * (Settings → Devices → Link Desktop Device). The code is refreshed until scanned.
+ */
+export async function loginWithQrCode(client, { apiId, apiHash, ask }) {
+  await client.signInUserWithQrCode({ apiId, apiHash }, {
+    qrCode: async ({ token }) => {
+      console.log("\n📷 Scan this QR code in Telegram: Settings → Devices → Link Desktop Device");
+      qrcode.generate(`tg://login?token=${token.toString("base64url")}`, { small: true });
+    },
+    ...passwordParams(ask),
+  });
+}
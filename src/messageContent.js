@@ -0,0 +1,156 @@
+/**
+ * Message content for every send path
+ *
+ * The message part of /send, /sendmulti, /autosend and /schedule may start
+ * with options:
+ *   --html / --md / --plain     parse mode of the text (default: markdown)
+ *   --file=<path|url>           attach a photo/document from the media folder or
+ *                               a URL; repeat for an album
+ *   --template=<name>           use a saved template (the text, if any, is ignored)
+ *   --forward / --copy          when replying to a message: forward it (keeping
+ *                               attribution) or copy it as a new message
+ * Text may contain variables filled in per target at send time.
+ */
+
+import * as fs from "fs";
+import * as path from "path";
+
+const PARSE_MODES = { "--html": "html", "--md": "markdown", "--markdown": "markdown", "--plain": false };
+
+/**
+ * Parse a command's message part into a content object
+ * @returns {{text: string, parseMode?: "markdown"|"html"|false, files?: string[], template?: string,
+ *   sourceMode?: "forward"|"copy"}}
+ */
+export function parseContent(raw) {
+  const content = { text: "" };
+  let rest = raw.trim();
+
+  for (let match = rest.match(/^(--[a-z-]+)(?:=(\S+))?(?:\s+|$)/i); match; match = rest.match(/^(--[a-z-]+)(?:=(\S+))?(?:\s+|$)/i)) {
+    const [token, flag, value] = match;
+    const name = flag.toLowerCase();
+
+    if (name in PARSE_MODES && value === undefined) content.parseMode = PARSE_MODES[name];
+    else if (name === "--file" && value) content.files = [...(content.files || []), value];
+    else if (name === "--template" && value) content.template = value.toLowerCase();
+    else if ((name === "--forward" || name === "--copy") && value === undefined) content.sourceMode = name.slice(2);
+    else throw new Error(`Unknown message option "${token.trim()}". Use --html, --md, --plain, --file=<path|url>, --template=<name>, --forward or --copy.`);
+
+    rest = rest.slice(token.length);
+  }
+
+  content.text = rest.trim();
+  return content;
+}
+
+const isOutside = (relative) => !relative || relative === ".." || relative.startsWith(`..${path.sep}`) || path.isAbsolute(relative);
+
+/**
+ * Check a --file value before it is read: URLs pass through, local paths must
+ * be files inside mediaDir (relative paths start there). Symlinks are followed
+ * first, so neither ".." nor a link reaches the .env or session files.
+ * @param {string} file
+ * @param {string} mediaDir - empty turns local files off
+ * @returns {string} the URL, or the real path of the file
+ */
+export function resolveMediaFile(file, mediaDir) {
+  if (/^https?:\/\//.test(file)) return file;
+  if (!mediaDir) throw new Error(`Local files are turned off (mediaDir); use a URL instead of ${file}`);
+
+  let dir;
+  try {
+    dir = fs.realpathSync(mediaDir);
+  } catch {
+    throw new Error(`The media folder ${mediaDir} does not exist`);
+  }
+  let real;
+  try {
+    real = fs.realpathSync(path.resolve(dir, file));
+  } catch {
+    throw new Error(`File not found: ${file}`);
+  }
+  if (isOutside(path.relative(dir, real)) || !fs.statSync(real).isFile()) {
+    throw new Error(`${file} is not a file in the media folder ${mediaDir}`);
+  }
+  return real;
+}
+
+// Accept plain strings (terminal menu, older jobs) wherever content is expected
+export const toContent = (content) => (typeof content === "string" ? { text: content } : content);
+
+export const isEmptyContent = (content) => {
+  const { text, files, template, source } = toContent(content);
+  return !text && !files?.length && !template && !source;
+};
+
+/**
+ * Fill in {group_title}, {group}, {date} and {time}; unknown variables are left as-is
+ * @param {string} text
+ * @param {{group_title?: string, group?: string}} vars
+ * @param {string} [timezone]
+ */
+export function renderText(text, vars, timezone) {
+  const now = new Date();
+  const dateParts = new Intl.DateTimeFormat("sv-SE", {
+    timeZone: timezone || undefined,
+    year: "numeric",
+    month: "2-digit",
+    day: "2-digit",
+    hour: "2-digit",
+    minute: "2-digit",
+    hourCycle: "h23",
+  }).format(now).split(" ");
+
+  const values = { date: dateParts[0], time: dateParts[1], ...vars };
+  return text.replace(/\{(\w+)\}/g, (placeholder, key) => (values[key] !== undefined && values[key] !== null ? String(values[key]) : placeholder));
+}
+
+// Short one-line description of content, for job lists and confirmations
+export function describeContent(content) {
+  const { text, files, template, source } = toContent(content);
+  const parts = [];
+  if (template) parts.push(`template "${template}"`);
+  if (source) {
+    const what = source.messageIds.length > 1 ? `album of ${source.messageIds.length}` : `message ${source.messageIds[0]}`;
+    parts.push(`${source.mode === "forward" ? "forward" : "copy"} of ${what}`);
+  }
+  if (files?.length) parts.push(files.length > 1 ? `album of ${files.length}` : "1 file");
+  if (text) parts.push(`"${text.length > 40 ? `${text.slice(0, 40)}…` : text}"`);
+  return parts.join(" + ") || "(empty)";
+}
+
+/**
+ * Saved message templates, persisted as JSON
+ * A template is { text, parseMode, files, source: { chatId, messageIds } | null }
+ * where `source` points at a Telegram message whose media is re-sent.
+ */
+export function createTemplateStore({ filePath }) {
+  let templates = {};
+  if (fs.existsSync(filePath)) {
+    try {
+      templates = JSON.parse(fs.readFileSync(filePath, "utf-8"));
+    } catch (error) {
+      console.error(`✗ Could not read templates ${filePath}: ${error.message}`);
+    }
+  }
+
+  const save = () => fs.writeFileSync(filePath, JSON.stringify(templates, null, 2));
+  const key = (name) => String(name).toLowerCase();
+
+  return {
+    get: (name) => templates[key(name)] || null,
+    list: () => Object.entries(templates).map(([name, template]) => ({ name, ...template })),
+
+    save(name, template) {
+      if (!/^[a-z0-9_-]+$/i.test(name)) throw new Error("Template names may only use letters, digits, _ and -");
+      templates[key(name)] = { ...template, updatedAt: Date.now() };
+      save();
+    },
+
+    remove(name) {
+      if (!templates[key(name)]) throw new Error(`Unknown template "${name}"`);
+      delete templates[key(name)];
+      save();
+    },
+  };
+}
@@ -0,0 +1,85 @@
+/**
+ * Pre-flight checks: can this account post in a chat right now?
+ * Inspects our membership, admin/banned rights, the chat's default banned
+ * rights and slow mode before anything is sent.
+ */
+
+import { Api } from "telegram/tl/index.js";
+
+const isAdmin = (entity) => Boolean(entity.creator || entity.adminRights);
+
+// Whether banned rights are currently in force (untilDate 0 means forever)
+const isRestricted = (rights, now = Date.now()) =>
+  Boolean(rights?.sendMessages && (!rights.untilDate || rights.untilDate * 1000 > now));
+
+/**
+ * @param {import("telegram").TelegramClient} client
+ * @param {object} entity - resolved chat/channel/user entity
+ * @returns {Promise<{ok: boolean, reason: string|null, slowmodeWait?: number}>}
+ */
+export async function checkSendable(client, entity) {
+  if (entity.className === "User") return { ok: true, reason: null };
+  if (entity.className === "ChatForbidden" || entity.className === "ChannelForbidden") {
+    return { ok: false, reason: "banned from this chat" };
+  }
+
+  // Fetch the current state instead of trusting a cached entity
+  let chat = entity;
+  try {
+    [chat] = await client.getEntity([entity]);
+  } catch (error) {
+    if (error.errorMessage === "CHANNEL_PRIVATE") return { ok: false, reason: "banned from this chat" };
+  }
+
+  if (chat.className === "ChatForbidden" || chat.className === "ChannelForbidden") {
+    return { ok: false, reason: "banned from this chat" };
+  }
+  if (chat.deactivated) return { ok: false, reason: "group was deactivated" };
+  if (chat.left) return { ok: false, reason: "not a member" };
+
+  if (chat.className === "Channel" && chat.broadcast) {
+    if (!chat.creator && !chat.adminRights?.postMessages) {
+      return { ok: false, reason: "broadcast channel without post rights" };
+    }
+    return { ok: true, reason: null };
+  }
+
+  if (isAdmin(chat)) return { ok: true, reason: null };
+
+  if (chat.className === "Channel") {
+    try {
+      const { participant } = await client.invoke(
+        new Api.channels.GetParticipant({ channel: chat, participant: new Api.InputPeerSelf() })
+      );
+      if (participant.className === "ChannelParticipantBanned" && isRestricted(participant.bannedRights)) {
+        return { ok: false, reason: "muted or banned in this group" };
+      }
+      if (participant.className === "ChannelParticipantLeft") return { ok: false, reason: "not a member" };
+    } catch (error) {
+      if (error.errorMessage === "USER_NOT_PARTICIPANT") return { ok: false, reason: "not a member" };
+      if (error.errorMessage === "CHANNEL_PRIVATE") return { ok: false, reason: "banned from this chat" };
+      throw error;
+    }
+  }
+
+  if (isRestricted(chat.bannedRights)) return { ok: false, reason: "muted or banned in this group" };
+  if (isRestricted(chat.defaultBannedRights)) return { ok: false, reason: "members can't send messages" };
+
+  if (chat.className === "Channel" && chat.slowmodeEnabled) {
+    const { fullChat } = await client.invoke(new Api.channels.GetFullChannel({ channel: chat }));
+    const waitSeconds = Math.max(0, (fullChat.slowmodeNextSendDate || 0) - Math.floor(Date.now() / 1000));
+    if (waitSeconds > 0) {
+      return { ok: true, reason: `slow mode, next send in ${waitSeconds}s`, slowmodeWait: waitSeconds };
+    }
+    return { ok: true, reason: `slow mode (${fullChat.slowmodeSeconds}s)` };
+  }
+
+  return { ok: true, reason: null };
+}
+
+// One line per target for /check and pre-flight reports
+export function formatPreflight(results) {
+  return results
+    .map((result) => `${result.ok ? "✓" : "✗"} ${result.target}${result.reason ? ` — ${result.reason}` : ""}`)
+    .join("\n");
+}
@@ -0,0 +1,163 @@
+/**
+ * Reply layer for command output
+ * Splits long text into Telegram-sized messages and delivers them in the chat
+ * the command came from, falling back to a DM to the sender.
+ */
+
+import { Button } from "telegram/tl/custom/button.js";
+
+export const MAX_MESSAGE_LENGTH = 4096;
+
+const CODE_FENCE = "```";
+
+// Progress messages are edited at most this often (edits count against flood limits too)
+const PROGRESS_EDIT_INTERVAL = 3000;
+
+// Cut a single line that doesn't fit into pieces, at the last space when there is one
+function splitLine(line, limit) {
+  const pieces = [];
+  while (line.length > limit) {
+    const space = line.lastIndexOf(" ", limit);
+    const cut = space > limit / 2 ? space : limit;
+    pieces.push(line.slice(0, cut));
+    line = line.slice(cut).replace(/^ /, "");
+  }
+  pieces.push(line);
+  return pieces;
+}
+
+/**
+ * Split text into chunks of at most `limit` characters on line boundaries.
+ * Code blocks cut by a split are closed at the end of the chunk and reopened
+ * at the start of the next one, so markdown renders the same in every chunk.
+ * @param {string} text
+ * @param {number} [limit]
+ * @returns {string[]}
+ */
+export function splitMessage(text, limit = MAX_MESSAGE_LENGTH) {
+  if (text.length <= limit) return [text];
+
+  const chunks = [];
+  let current = "";
+  let fence = null; // opening line of the code block we are in, e.g. "```js"
+
+  // Leave room for closing and reopening a code block
+  const lineLimit = limit - 2 * (CODE_FENCE.length + 1) - 16;
+  const lines = text.split("\n").flatMap((line) => splitLine(line, lineLimit));
+
+  for (const line of lines) {
+    const closing = fence ? `\n${CODE_FENCE}` : "";
+    if (current && (current + "\n" + line + closing).length > limit) {
+      chunks.push(current + closing);
+      current = fence ? `${fence}\n${line}` : line;
+    } else {
+      current = current ? `${current}\n${line}` : line;
+    }
+    if (line.trimStart().startsWith(CODE_FENCE)) fence = fence ? null : line.trim();
+  }
+  if (current.trim()) chunks.push(current);
+  return chunks;
+}
+
+/**
+ * @param {import("telegram").TelegramClient} client
+ * @param {{ buttons?: boolean }} [options] - whether the client can show inline buttons (bots only)
+ */
+export function createReplier(client, { buttons = false } = {}) {
+  // options.buttons are rows of { text, command }: callback buttons whose data is the
+  // command to run. They go on the last chunk; user accounts can't send them, so they
+  // are left out and the text has to say what to type instead.
+  const sendOptions = (options, last) => {
+    const { buttons: rows, ...rest } = options;
+    if (!rows || !last || !buttons) return rest;
+    return { ...rest, buttons: rows.map((row) => row.map((button) => Button.inline(button.text, Buffer.from(button.command)))) };
+  };
+
+  // Send every chunk of a message to one peer; returns false if a chunk could not be delivered
+  async function notify(peer, message, options = {}) {
+    const chunks = splitMessage(message);
+    for (const [i, chunk] of chunks.entries()) {
+      try {
+        await client.sendMessage(peer, { message: chunk, ...sendOptions(options, i === chunks.length - 1) });
+      } catch (error) {
+        console.log(`✗ Could not send message to ${peer}: ${error.message}`);
+        return false;
+      }
+    }
+    return true;
+  }
+
+  // Reply to a command in its chat; once that fails, the rest goes to the sender by DM
+  async function reply(msg, senderId, message, options = {}) {
+    let viaDm = false;
+    const chunks = splitMessage(message);
+    for (const [i, chunk] of chunks.entries()) {
+      const chunkOptions = sendOptions(options, i === chunks.length - 1);
+      if (!viaDm) {
+        try {
+          await msg.respond({ message: chunk, ...chunkOptions });
+          continue;
+        } catch (error) {
+          viaDm = true;
+        }
+      }
+      try {
+        await client.sendMessage(senderId, { message: chunk, ...chunkOptions });
+      } catch (error) {
+        console.log(`✗ Could not send reply to ${senderId}: ${error.message}`);
+        return false;
+      }
+    }
+    return true;
+  }
+
+  /**
+   * Reply with a message that is edited as work proceeds
+   * update() edits it (throttled); finish() always edits it, and sends any text
+   * that doesn't fit in one message as further replies
+   */
+  async function progress(msg, senderId, text) {
+    let sent = null;
+    try {
+      sent = await msg.respond({ message: text });
+    } catch (error) {
+      try {
+        sent = await client.sendMessage(senderId, { message: text });
+      } catch (e) {
+        console.log(`✗ Could not send progress message to ${senderId}: ${e.message}`);
+      }
+    }
+
+    let shown = text;
+    let editedAt = Date.now();
+    const edit = async (next) => {
+      if (!sent || next === shown) return false;
+      try {
+        await client.editMessage(sent.peerId, { message: sent.id, text: next });
+        shown = next;
+        editedAt = Date.now();
+        return true;
+      } catch (error) {
+        console.log(`✗ Could not update progress message: ${error.message}`);
+        return false;
+      }
+    };
+
+    return {
+      async update(next) {
+        if (Date.now() - editedAt >= PROGRESS_EDIT_INTERVAL) await edit(next);
+      },
+      async finish(next) {
+        const [first, ...rest] = splitMessage(next);
+        if (!(await edit(first)) && first !== shown) rest.unshift(first);
+        if (rest.length) await reply(msg, senderId, rest.join("\n"));
+      },
+    };
+  }
+
+  return {
+    notify,
+    reply,
+    progress,
+  };
+}
@@ -0,0 +1,81 @@
+/**
+ * Role-based authorization for bot commands
+ * Users are owners, operators or viewers. Roles come from config.js and the
+ * OWNER_IDS / OPERATOR_IDS / VIEWER_IDS environment variables, and /grant and
+ * /revoke changes are persisted on top of them.
+ */
+
+import * as fs from "fs";
+
+export const ROLES = ["viewer", "operator", "owner"];
+
+const rank = (role) => ROLES.indexOf(role);
+
+// Whether a role (or null for no role) is at least the required one
+export const hasRole = (role, required) => role !== null && rank(role) >= rank(required);
+
+/**
+ * @param {object} options
+ * @param {string} options.filePath - JSON file holding /grant and /revoke changes
+ * @param {{owners?: number[], operators?: number[], viewers?: number[]}} [options.seed] - roles from config/env
+ */
+export function createRoleManager({ filePath, seed = {} }) {
+  const baseRoles = new Map();
+  for (const [role, ids] of [["viewer", seed.viewers], ["operator", seed.operators], ["owner", seed.owners]]) {
+    (ids || []).forEach((id) => baseRoles.set(Number(id), role));
+  }
+
+  // Persisted overrides: user ID -> role, or null when a seeded role was revoked
+  let overrides = {};
+  if (fs.existsSync(filePath)) {
+    try {
+      overrides = JSON.parse(fs.readFileSync(filePath, "utf-8"));
+    } catch (error) {
+      console.error(`✗ Could not read roles file ${filePath}: ${error.message}`);
+    }
+  }
+
+  const save = () => fs.writeFileSync(filePath, JSON.stringify(overrides, null, 2));
+
+  // Owners from config/env can't be changed at runtime so nobody gets locked out
+  const isSeedOwner = (userId) => baseRoles.get(Number(userId)) === "owner";
+
+  const getRole = (userId) => {
+    const key = String(Number(userId));
+    if (!isSeedOwner(userId) && key in overrides) return overrides[key];
+    return baseRoles.get(Number(userId)) || null;
+  };
+
+  return {
+    getRole,
+
+    // Whether a user has at least the required role; returns their role too
+    check(userId, required) {
+      const role = getRole(userId);
+      return { allowed: hasRole(role, required), role };
+    },
+
+    grant(userId, role) {
+      if (!ROLES.includes(role)) throw new Error(`Unknown role "${role}". Use one of: ${ROLES.join(", ")}`);
+      if (isSeedOwner(userId)) throw new Error("Owners from config/env can't be changed at runtime");
+      overrides[String(Number(userId))] = role;
+      save();
+    },
+
+    revoke(userId) {
+      if (isSeedOwner(userId)) throw new Error("Owners from config/env can't be changed at runtime");
+      if (!getRole(userId)) throw new Error(`User ${userId} has no role`);
+      overrides[String(Number(userId))] = null;
+      save();
+    },
+
+    // All users with a role, as [{ userId, role }]
+    list() {
+      const ids = new Set([...baseRoles.keys(), ...Object.keys(overrides).map(Number)]);
+      return [...ids]
+        .map((userId) => ({ userId, role: getRole(userId) }))
+        .filter((entry) => entry.role)
+        .sort((a, b) => rank(b.role) - rank(a.role));
+    },
+  };
+}
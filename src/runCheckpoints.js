@@ -0,0 +1,55 @@
+/**
+ * Checkpoints of send runs in progress
+ * sendToTargets saves where each run is after every target, so a run cut off by
+ * a shutdown, redeploy or crash resumes at its next target after the restart
+ * instead of starting over. A checkpoint is removed when its run ends.
+ */
+
+import * as fs from "fs";
+
+/**
+ * @typedef {object} RunCheckpoint
+ * @property {number} id - run ID (kept when the run resumes)
+ * @property {string} label
+ * @property {number|null} userId - who started the run, told how it ended after resuming
+ * @property {number|null} jobId
+ * @property {string[]} targets - every target of the run
+ * @property {object} message - content being sent
+ * @property {number} next - index of the next target to send to
+ * @property {{ sent: number, failed: number, skipped: number, failures: { target: string, reason: string }[] }} result - so far
+ */
+
+export function createRunCheckpoints(filePath) {
+  let checkpoints = {}; // run ID -> RunCheckpoint
+  if (fs.existsSync(filePath)) {
+    try {
+      checkpoints = JSON.parse(fs.readFileSync(filePath, "utf-8"));
+    } catch (error) {
+      console.error(`✗ Could not read run checkpoints ${filePath}: ${error.message}`);
+    }
+  }
+
+  // Written atomically so a crash mid-write can't lose every checkpoint
+  const save = () => {
+    const tmpFile = `${filePath}.tmp`;
+    fs.writeFileSync(tmpFile, JSON.stringify(checkpoints, null, 2));
+    fs.renameSync(tmpFile, filePath);
+  };
+
+  return {
+    /** @param {RunCheckpoint} checkpoint */
+    save(checkpoint) {
+      checkpoints[checkpoint.id] = checkpoint;
+      save();
+    },
+
+    remove(id) {
+      if (!(id in checkpoints)) return;
+      delete checkpoints[id];
+      save();
+    },
+
+    /** @returns {RunCheckpoint[]} oldest run first */
+    list: () => Object.values(checkpoints).sort((a, b) => a.id - b.id),
+  };
+}
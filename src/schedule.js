@@ -0,0 +1,180 @@
+/**
+ * Schedules for /autosend and /schedule jobs
+ *
+ * A job's `schedule` is one of:
+ *   { type: "interval", everyMs, text }  - every N seconds/minutes/hours
+ *   { type: "cron", expr }              - cron expression, e.g. "0 9 * * 1-5"
+ *   { type: "once", at }                - one-shot local date/time, e.g. "2026-10-20T09:00:00"
+ * Cron and one-shot times are evaluated in the job's `timezone`. An optional
+ * `window` ({ start: "09:00", end: "18:00" }) restricts when any job may fire.
+ */
+
+import { Cron } from "croner";
+
+// Longest delay setTimeout supports (~24.8 days)
+export const MAX_TIMER_DELAY = 2 ** 31 - 1;
+
+export const defaultTimezone = () => Intl.DateTimeFormat().resolvedOptions().timeZone;
+
+export function isValidTimezone(timezone) {
+  try {
+    new Intl.DateTimeFormat("en-US", { timeZone: timezone });
+    return true;
+  } catch (error) {
+    return false;
+  }
+}
+
+// Parse an interval like 30s, 5m or 4h (hours if no unit) into milliseconds
+export function parseInterval(text) {
+  const match = text.trim().match(/^(\d*\.?\d+)\s*([smhSMH]?)$/);
+  if (!match) return null;
+
+  const value = parseFloat(match[1]);
+  if (!value || value <= 0) return null;
+
+  const unit = (match[2] || "h").toLowerCase();
+  if (unit === "s") return value * 1000;
+  if (unit === "m") return value * 60 * 1000;
+  return value * 60 * 60 * 1000;
+}
+
+/**
+ * Parse the schedule part of /autosend: an interval (30s, 5m, 4h) or a
+ * 5/6-field cron expression. Throws an Error with a user-facing message.
+ */
+export function parseSchedule(text) {
+  const trimmed = text.trim();
+  const everyMs = parseInterval(trimmed);
+  if (everyMs) return { type: "interval", everyMs, text: trimmed };
+
+  const fields = trimmed.split(/\s+/);
+  if (fields.length === 5 || fields.length === 6) {
+    try {
+      new Cron(trimmed, { paused: true });
+    } catch (error) {
+      throw new Error(`Invalid cron expression "${trimmed}": ${error.message}`);
+    }
+    return { type: "cron", expr: trimmed };
+  }
+
+  throw new Error(`Invalid schedule "${trimmed}". Use an interval (30s, 5m, 4h) or a cron expression ("0 9 * * 1-5").`);
+}
+
+// Parse a one-shot date/time like "2026-10-20 09:00" (local to the job's timezone)
+export function parseDateTime(text) {
+  const match = text.trim().match(/^(\d{4}-\d{2}-\d{2})[ T](\d{1,2}):(\d{2})(?::(\d{2}))?$/);
+  if (!match) {
+    throw new Error(`Invalid date/time "${text.trim()}". Use YYYY-MM-DD HH:MM.`);
+  }
+  const [, date, hours, minutes, seconds = "00"] = match;
+  return { type: "once", at: `${date}T${hours.padStart(2, "0")}:${minutes}:${seconds}` };
+}
+
+// Parse a time window like "09:00-18:00" (overnight windows like 22:00-06:00 are allowed)
+export function parseWindow(text) {
+  const match = text.trim().match(/^(\d{1,2}):(\d{2})\s*[-–]\s*(\d{1,2}):(\d{2})$/);
+  const valid = match && Number(match[1]) < 24 && Number(match[3]) < 24 && Number(match[2]) < 60 && Number(match[4]) < 60;
+  if (!valid) {
+    throw new Error(`Invalid window "${text.trim()}". Use HH:MM-HH:MM, e.g. 09:00-18:00.`);
+  }
+  const pad = (value) => String(value).padStart(2, "0");
+  return { start: `${pad(match[1])}:${match[2]}`, end: `${pad(match[3])}:${match[4]}` };
+}
+
+const toMinutes = (hhmm) => {
+  const [hours, minutes] = hhmm.split(":").map(Number);
+  return hours * 60 + minutes;
+};
+
+// Minutes since local midnight of a timestamp in the given timezone
+function localMinutes(timestamp, timezone) {
+  const parts = new Intl.DateTimeFormat("en-GB", {
+    timeZone: timezone,
+    hour: "2-digit",
+    minute: "2-digit",
+    hourCycle: "h23",
+  }).formatToParts(new Date(timestamp));
+  const get = (type) => Number(parts.find((p) => p.type === type).value);
+  return get("hour") * 60 + get("minute");
+}
+
+export function isInWindow(window, timestamp, timezone) {
+  if (!window) return true;
+  const now = localMinutes(timestamp, timezone);
+  const start = toMinutes(window.start);
+  const end = toMinutes(window.end);
+  return start <= end ? now >= start && now < end : now >= start || now < end;
+}
+
+// Move a timestamp forward to the next opening of the window if it falls outside it
+function applyWindow(window, timestamp, timezone) {
+  if (!window || isInWindow(window, timestamp, timezone)) return timestamp;
+  const [hours, minutes] = window.start.split(":");
+  const opening = new Cron(`${Number(minutes)} ${Number(hours)} * * *`, { timezone, paused: true });
+  return opening.nextRun(new Date(timestamp)).getTime();
+}
+
+/**
+ * Next time a job should fire strictly after `from`, or null if it never will
+ * (a one-shot job whose time has passed, or a cron that never matches the window)
+ */
+export function getNextRun(job, from = Date.now()) {
+  const { schedule, window, timezone = defaultTimezone() } = job;
+
+  if (schedule.type === "interval") {
+    return applyWindow(window, from + schedule.everyMs, timezone);
+  }
+
+  if (schedule.type === "once") {
+    const at = new Cron(schedule.at, { timezone, paused: true }).nextRun(new Date(from));
+    return at ? at.getTime() : null;
+  }
+
+  const cron = new Cron(schedule.expr, { timezone, paused: true });
+  let next = cron.nextRun(new Date(from));
+  for (let i = 0; next && i < 1000; i++) {
+    if (isInWindow(window, next.getTime(), timezone)) return next.getTime();
+    next = cron.nextRun(next);
+  }
+  return null;
+}
+
+// The next `count` fire times of a job, for confirming a schedule is correct
+export function getNextRuns(job, count = 3, from = Date.now()) {
+  const runs = [];
+  let next = getNextRun(job, from);
+  while (next && runs.length < count) {
+    runs.push(next);
+    if (job.schedule.type === "once") break;
+    next = getNextRun(job, next);
+  }
+  return runs;
+}
+
+export function describeSchedule(job) {
+  const { schedule, window, timezone } = job;
+  let text;
+  if (schedule.type === "interval") text = `every ${schedule.text}`;
+  else if (schedule.type === "cron") text = `cron "${schedule.expr}"`;
+  else text = `once at ${schedule.at.replace("T", " ").replace(/:00$/, "")}`;
+
+  if (schedule.type !== "interval" || window) text += ` (${timezone || defaultTimezone()})`;
+  if (window) text += `, only ${window.start}–${window.end}`;
+  return text;
+}
+
+// Format a timestamp in the job's timezone, e.g. "2026-10-20 09:00 Europe/Vilnius"
+export function formatTimeIn(timestamp, timezone = defaultTimezone()) {
+  if (!timestamp) return "—";
+  const text = new Intl.DateTimeFormat("sv-SE", {
+    timeZone: timezone,
+    year: "numeric",
+    month: "2-digit",
+    day: "2-digit",
+    hour: "2-digit",
+    minute: "2-digit",
+    hourCycle: "h23",
+  }).format(new Date(timestamp));
+  return `${text} ${timezone}`;
+}
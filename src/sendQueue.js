@@ -0,0 +1,145 @@
+/**
+ * Central send queue shared by every send path
+ * Enforces the account-wide rate limit and honors Telegram's FloodWait and
+ * SlowModeWait errors by waiting the server-specified time before retrying
+ */
+
+import { errors } from "telegram";
+
+const sleep = (ms) => new Promise((resolve) => setTimeout(resolve, ms));
+
+/**
+ * Recognize FloodWait/SlowModeWait errors (FLOOD_WAIT_X, FLOOD_PREMIUM_WAIT_X, SLOWMODE_WAIT_X)
+ * GramJS raises these as FloodWaitError/SlowModeWaitError, whose errorMessage is just "FLOOD"
+ * @returns {{kind: "flood"|"slowmode", seconds: number} | null}
+ */
+export function getFloodWait(error) {
+  const text = `${error?.errorMessage || ""} ${error?.message || ""}`;
+  const kind = error instanceof errors.SlowModeWaitError || /SLOWMODE_WAIT/.test(text) ? "slowmode"
+    : error instanceof errors.FloodWaitError || /FLOOD(_PREMIUM)?_WAIT/.test(text) ? "flood"
+    : null;
+  if (!kind) return null;
+
+  const match = text.match(/(?:FLOOD(?:_PREMIUM)?|SLOWMODE)_WAIT_(\d+)/);
+  const seconds = typeof error.seconds === "number" ? error.seconds : match ? Number(match[1]) : 0;
+  return { kind, seconds };
+}
+
+/**
+ * Run a read-only call that doesn't go through the queue (pre-flight checks,
+ * dialogs), waiting out short FloodWaits the way GramJS would on its own: the
+ * client's floodSleepThreshold is 0 so that sends wait in the queue instead
+ * @param {() => Promise<any>} task
+ * @param {{ maxWaitSeconds?: number, maxRetries?: number }} [options]
+ */
+export async function withFloodRetry(task, { maxWaitSeconds = 60, maxRetries = 3 } = {}) {
+  for (let attempt = 1; ; attempt++) {
+    try {
+      return await task();
+    } catch (error) {
+      const wait = getFloodWait(error);
+      if (wait?.kind !== "flood" || attempt > maxRetries || wait.seconds > maxWaitSeconds) throw error;
+      console.log(`⏳ FloodWait: retrying a check in ${wait.seconds}s (retry ${attempt}/${maxRetries})`);
+      await sleep(wait.seconds * 1000);
+    }
+  }
+}
+
+/**
+ * @param {object} options
+ * @param {number} [options.maxPerMinute] - sends allowed per rolling minute across the account
+ * @param {number} [options.minGapMs] - minimum time between two sends
+ * @param {number} [options.maxRetries] - retries of one send after FloodWait/SlowModeWait
+ * @param {number} [options.maxWaitSeconds] - longest server wait honored before giving up
+ */
+export function createSendQueue({ maxPerMinute = 20, minGapMs = 1000, maxRetries = 3, maxWaitSeconds = 900 } = {}) {
+  const pending = [];
+  const sentAt = [];
+  const chatNotBefore = new Map();
+  let accountNotBefore = 0;
+  let draining = false;
+
+  // How long until the account-wide limits allow another send
+  const accountDelay = (now) => {
+    while (sentAt.length && sentAt[0] <= now - 60000) sentAt.shift();
+    const lastSend = sentAt[sentAt.length - 1] || 0;
+    let delay = Math.max(accountNotBefore - now, lastSend + minGapMs - now);
+    if (sentAt.length >= maxPerMinute) delay = Math.max(delay, sentAt[0] + 60000 - now);
+    return delay;
+  };
+
+  const handleFailure = (item, index, error) => {
+    const wait = getFloodWait(error);
+    if (!wait || item.attempts >= maxRetries || wait.seconds > maxWaitSeconds) {
+      item.reject(error);
+      return;
+    }
+
+    item.attempts++;
+    const until = Date.now() + wait.seconds * 1000;
+    if (wait.kind === "flood") {
+      accountNotBefore = Math.max(accountNotBefore, until);
+      console.log(`⏳ FloodWait: pausing all sends for ${wait.seconds}s (retry ${item.attempts}/${maxRetries})`);
+    } else {
+      chatNotBefore.set(item.key, until);
+      console.log(`⏳ Slow mode in ${item.key}: retrying in ${wait.seconds}s (retry ${item.attempts}/${maxRetries})`);
+    }
+    pending.splice(index, 0, item);
+  };
+
+  const drain = async () => {
+    if (draining) return;
+    draining = true;
+    try {
+      while (pending.length) {
+        const now = Date.now();
+        const delay = accountDelay(now);
+        if (delay > 0) {
+          await sleep(delay);
+          continue;
+        }
+
+        // Skip chats that are still in slow mode, keeping the order otherwise
+        const index = pending.findIndex((item) => (chatNotBefore.get(item.key) || 0) <= now);
+        if (index === -1) {
+          const earliest = Math.min(...pending.map((item) => chatNotBefore.get(item.key)));
+          await sleep(earliest - now);
+          continue;
+        }
+
+        const [item] = pending.splice(index, 1);
+        chatNotBefore.delete(item.key);
+        sentAt.push(Date.now());
+        try {
+          item.resolve(await item.task());
+        } catch (error) {
+          handleFailure(item, index, error);
+        }
+      }
+    } finally {
+      draining = false;
+    }
+  };
+
+  return {
+    // Apply reloaded limits; a wait already under way finishes first
+    configure(limits) {
+      ({ maxPerMinute, minGapMs, maxRetries, maxWaitSeconds } = { maxPerMinute, minGapMs, maxRetries, maxWaitSeconds, ...limits });
+    },
+
+    /**
+     * Queue a send to `key` (the target chat); resolves with the task's result
+     * or rejects once the error is not a wait or retries are exhausted
+     */
+    enqueue(key, task) {
+      return new Promise((resolve, reject) => {
+        pending.push({ key: String(key), task, resolve, reject, attempts: 0 });
+        drain();
+      });
+    },
+
+    get size() {
+      return pending.length;
+    },
+  };
+}
@@ -0,0 +1,64 @@
+/**
+ * In-flight send runs (every send, including /sendmulti and auto-send ticks)
+ * A run can be cancelled with /cancel, or interrupted by a shutdown (it then
+ * resumes after the restart); either way the sender stops before the next target.
+ * Run IDs are also written to the delivery log, for /unsend and /editsent.
+ */
+
+/**
+ * @param {{ firstId?: number }} [options] - first run ID, so IDs stay unique across restarts
+ */
+export function createRunRegistry({ firstId = 1 } = {}) {
+  let nextId = firstId;
+  const runs = new Map();
+  let idleWaiters = [];
+
+  return {
+    /**
+     * Start tracking a run
+     * @param {{ label: string, userId: number|null, total: number, id?: number }} info - `id` resumes a checkpointed run
+     */
+    start({ label, userId = null, total, id = null }) {
+      const controller = new AbortController();
+      let interrupted = false;
+      if (id !== null) nextId = Math.max(nextId, id + 1);
+      const run = {
+        id: id ?? nextId++,
+        label,
+        userId,
+        total,
+        startedAt: Date.now(),
+        signal: controller.signal,
+        get cancelled() {
+          return controller.signal.aborted && !interrupted;
+        },
+        get interrupted() {
+          return interrupted;
+        },
+        cancel: () => controller.abort(),
+        interrupt: () => {
+          interrupted = true;
+          controller.abort();
+        },
+      };
+      runs.set(run.id, run);
+      return run;
+    },
+
+    finish(run) {
+      runs.delete(run.id);
+      if (runs.size === 0) {
+        idleWaiters.forEach((resolve) => resolve());
+        idleWaiters = [];
+      }
+    },
+
+    // Resolves once no run is in progress
+    idle: () => (runs.size === 0 ? Promise.resolve() : new Promise((resolve) => idleWaiters.push(resolve))),
+
+    get: (id) => runs.get(Number(String(id).replace(/^#/, ""))),
+
+    // Active runs, oldest first
+    list: () => [...runs.values()],
+  };
+}
@@ -0,0 +1,73 @@
+/**
+ * Session file storage, encrypted at rest
+ * With SESSION_PASSPHRASE set the session string is stored encrypted with
+ * AES-256-GCM under a key derived from the passphrase (scrypt, random salt per
+ * save). Plaintext files from older versions are still read and are encrypted
+ * on the next save.
+ */
+
+import * as fs from "fs";
+import { createCipheriv, createDecipheriv, randomBytes, scryptSync } from "crypto";
+
+// Marks an encrypted file; the version allows changing the format later
+const HEADER = "tgenc:v1";
+const SALT_BYTES = 16;
+const IV_BYTES = 12;
+const KEY_BYTES = 32;
+
+export class SessionKeyError extends Error {}
+
+export const isEncrypted = (data) => data.startsWith(`${HEADER}:`);
+
+/**
+ * @param {string} text
+ * @param {string} passphrase
+ * @returns {string} "tgenc:v1:<salt>:<iv>:<tag>:<ciphertext>", all base64
+ */
+export function encryptSession(text, passphrase) {
+  const salt = randomBytes(SALT_BYTES);
+  const iv = randomBytes(IV_BYTES);
+  const cipher = createCipheriv("aes-256-gcm", scryptSync(passphrase, salt, KEY_BYTES), iv);
+  const encrypted = Buffer.concat([cipher.update(text, "utf-8"), cipher.final()]);
+  return [HEADER, salt, iv, cipher.getAuthTag(), encrypted]
+    .map((part) => (Buffer.isBuffer(part) ? part.toString("base64") : part))
+    .join(":");
+}
+
+export function decryptSession(data, passphrase) {
+  const parts = data.trim().slice(HEADER.length + 1).split(":");
+  if (parts.length !== 4) throw new Error("The session file is damaged (unexpected format)");
+  const [salt, iv, tag, encrypted] = parts.map((part) => Buffer.from(part, "base64"));
+
+  const decipher = createDecipheriv("aes-256-gcm", scryptSync(passphrase, salt, KEY_BYTES), iv);
+  decipher.setAuthTag(tag);
+  try {
+    return Buffer.concat([decipher.update(encrypted), decipher.final()]).toString("utf-8");
+  } catch (error) {
+    throw new SessionKeyError("SESSION_PASSPHRASE is wrong: the session file could not be decrypted");
+  }
+}
+
+/**
+ * Read the session string (empty if there is no file yet)
+ * Throws SessionKeyError when the file is encrypted and the passphrase is missing or wrong.
+ * @param {string} filePath
+ * @param {string} [passphrase]
+ * @returns {{ session: string, plaintext: boolean }} plaintext: the file still needs migrating
+ */
+export function loadSession(filePath, passphrase) {
+  if (!fs.existsSync(filePath)) return { session: "", plaintext: false };
+  const data = fs.readFileSync(filePath, "utf-8");
+  if (!isEncrypted(data)) return { session: data.trim(), plaintext: Boolean(data.trim()) };
+  if (!passphrase) {
+    throw new SessionKeyError(`${filePath} is encrypted: set SESSION_PASSPHRASE to the passphrase it was saved with`);
+  }
+  return { session: decryptSession(data, passphrase), plaintext: false };
+}
+
+// Write the session atomically, readable by the owner only; encrypted when a passphrase is given
+export function saveSession(filePath, session, passphrase) {
+  const tmpFile = `${filePath}.tmp`;
+  fs.writeFileSync(tmpFile, passphrase ? encryptSession(session, passphrase) : session, { mode: 0o600 });
+  fs.renameSync(tmpFile, filePath);
+}
@@ -0,0 +1,41 @@
+/**
+ * Telegram transport
+ * The bot only talks to Telegram through the methods below. The real transport
+ * is a GramJS TelegramClient; tests use the in-memory fake in test/fakeTelegram.js.
+ */
+
+import { TelegramClient } from "telegram";
+import { StringSession } from "telegram/sessions/index.js";
+
+/**
+ * @typedef {object} Transport
+ * @property {boolean} connected
+ * @property {() => Promise<void>} connect
+ * @property {() => Promise<void>} disconnect
+ * @property {() => Promise<object>} getMe
+ * @property {(target: string|number|object[]) => Promise<object|object[]>} getEntity
+ * @property {(params: { limit?: number }) => Promise<{ entity: object }[]>} getDialogs
+ * @property {(peer: any, params: { ids: number[] }) => Promise<object[]>} getMessages
+ * @property {(peer: any, params: { message: string|object, parseMode?: any, buttons?: object[][] }) => Promise<object>} sendMessage
+ * @property {(peer: any, params: { file: any, caption?: string|string[], parseMode?: any }) => Promise<object|object[]>} sendFile
+ * @property {(peer: any, params: { messages: number[], fromPeer: any }) => Promise<(object|undefined)[][]>} forwardMessages
+ * @property {(peer: any, params: { message: number, text: string, parseMode?: any }) => Promise<object>} editMessage
+ * @property {(peer: any, ids: number[], params: { revoke: boolean }) => Promise<{ ptsCount: number }[]>} deleteMessages
+ * @property {(request: object) => Promise<any>} invoke - raw API calls (pre-flight checks)
+ * @property {(handler: (event: object) => any, builder: object) => void} addEventHandler - new messages
+ *   (NewMessage: { message }) and, on the control bot, button presses (CallbackQuery: { data, senderId, chatId, answer })
+ */
+
+/**
+ * Used for the user account and for the control bot (logged in with start({ botAuthToken }))
+ * @param {{ session: string, apiId: number, apiHash: string }} options
+ * @returns {TelegramClient}
+ */
+export function createTelegramTransport({ session, apiId, apiHash }) {
+  return new TelegramClient(new StringSession(session), apiId, apiHash, {
+    connectionRetries: 5,
+    // FloodWait errors are handled by the send queue instead of sleeping inside the client;
+    // calls outside the queue (pre-flight checks, dialogs) wait them out with withFloodRetry
+    floodSleepThreshold: 0,
+  });
+}
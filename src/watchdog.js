@@ -0,0 +1,104 @@
+/**
+ * Connection watchdog
+ * Checks the session every interval with getMe(). When a check fails the
+ * client is reconnected with exponential backoff; onDown/onUp run when the
+ * connection is lost and when it comes back.
+ */
+
+const RETRY_BASE_MS = 5000;
+
+// Reject if the promise doesn't settle in time (a dead socket can hang a request)
+function withTimeout(promise, ms, what) {
+  let timer;
+  const timeout = new Promise((resolve, reject) => {
+    timer = setTimeout(() => reject(new Error(`${what} timed out after ${ms / 1000}s`)), ms);
+  });
+  return Promise.race([promise, timeout]).finally(() => clearTimeout(timer));
+}
+
+/**
+ * @param {object} options
+ * @param {import("telegram").TelegramClient} options.client
+ * @param {number} [options.intervalSeconds] - time between checks while connected
+ * @param {number} [options.timeoutSeconds] - how long one check or reconnect may take
+ * @param {number} [options.maxBackoffSeconds] - longest wait between reconnect attempts
+ * @param {(error: Error) => void|Promise<void>} [options.onDown]
+ * @param {(downForMs: number) => void|Promise<void>} [options.onUp]
+ */
+export function createWatchdog({ client, intervalSeconds = 60, timeoutSeconds = 15, maxBackoffSeconds = 300, onDown, onUp }) {
+  const state = {
+    connected: true,
+    lastCheckAt: null,
+    lastOkAt: null,
+    downSince: null,
+    reconnectAttempts: 0,
+    lastError: null,
+  };
+  let timer = null;
+  let running = false;
+
+  const schedule = (delay) => {
+    if (running) timer = setTimeout(check, delay);
+  };
+
+  async function check() {
+    state.lastCheckAt = Date.now();
+    try {
+      if (!state.connected) {
+        state.reconnectAttempts++;
+        console.log(`⏳ Reconnecting to Telegram (attempt ${state.reconnectAttempts})...`);
+        try {
+          await withTimeout(client.disconnect(), timeoutSeconds * 1000, "disconnect");
+        } catch (error) {
+          // The old connection may already be gone
+        }
+        await withTimeout(client.connect(), timeoutSeconds * 1000, "connect");
+      }
+      await withTimeout(client.getMe(), timeoutSeconds * 1000, "getMe");
+      state.lastOkAt = Date.now();
+
+      if (!state.connected) {
+        const downForMs = Date.now() - state.downSince;
+        console.log(`✓ Reconnected to Telegram after ${Math.round(downForMs / 1000)}s`);
+        Object.assign(state, { connected: true, downSince: null, reconnectAttempts: 0, lastError: null });
+        try {
+          await onUp?.(downForMs);
+        } catch (e) {
+          console.error(`✗ Watchdog onUp failed: ${e.message}`);
+        }
+      }
+      schedule(intervalSeconds * 1000);
+    } catch (error) {
+      state.lastError = error.message;
+      if (state.connected) {
+        console.log(`✗ Connection check failed: ${error.message}`);
+        state.connected = false;
+        state.downSince = Date.now();
+        try {
+          await onDown?.(error);
+        } catch (e) {
+          console.error(`✗ Watchdog onDown failed: ${e.message}`);
+        }
+      }
+      const delay = Math.min(maxBackoffSeconds * 1000, RETRY_BASE_MS * 2 ** state.reconnectAttempts);
+      console.log(`⏳ Next reconnect attempt in ${Math.round(delay / 1000)}s`);
+      schedule(delay);
+    }
+  }
+
+  return {
+    start() {
+      if (running) return;
+      running = true;
+      state.lastOkAt = Date.now();
+      schedule(intervalSeconds * 1000);
+    },
+
+    stop() {
+      running = false;
+      clearTimeout(timer);
+    },
+
+    status: () => ({ ...state }),
+  };
+}
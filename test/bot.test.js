@@ -0,0 +1,560 @@
+import { afterEach, beforeEach, describe, it, mock } from "node:test";
+import assert from "node:assert/strict";
+import * as fs from "fs";
+import * as os from "os";
+import * as path from "path";
+import { config as defaultConfig } from "../config.js";
+import { createBot } from "../src/bot.js";
+import { createFakeTelegram } from "./fakeTelegram.js";
+
+const OWNER = 111;
+const STRANGER = 999;
+
+// Let every promise that isn't waiting on a timer settle
+const flush = () => new Promise((resolve) => setImmediate(resolve));
+
+// Move the fake clock forward in steps, running what each step makes due
+async function advance(ms, step = 500) {
+  for (let elapsed = 0; elapsed < ms; elapsed += step) {
+    mock.timers.tick(step);
+    await flush();
+  }
+}
+
+describe("bot commands against a fake Telegram", () => {
+  let dataDir;
+  let telegram;
+  let bot;
+
+  // Send a command as `from` and let it run for `ms` of fake time
+  const command = async (text, { from = OWNER, replyTo, ms = 0 } = {}) => {
+    const done = telegram.receive({ from, text, replyTo });
+    await flush();
+    if (ms) await advance(ms);
+    await done;
+  };
+
+  const texts = (target) => telegram.messagesIn(target).map((message) => message.text);
+  const lastReply = () => texts(OWNER).at(-1);
+
+  // A fresh fake account that is in three groups and has left a fourth
+  const createAccount = () => {
+    const account = createFakeTelegram();
+    account.addChat({ id: 101, title: "Alpha", username: "alpha" });
+    account.addChat({ id: 102, title: "Beta", username: "beta" });
+    account.addChat({ id: 103, title: "Gamma", username: "gamma" });
+    account.addChat({ id: 104, title: "Old Group", username: "oldgroup", left: true });
+    return account;
+  };
+
+  const startBot = ({ controlClient = null, config = {} } = {}) => {
+    const started = createBot({
+      client: telegram,
+      controlClient,
+      config: {
+        ...defaultConfig,
+        targetGroups: [],
+        timezone: "UTC",
+        messageDelay: 5000,
+        sendLimits: { maxPerMinute: 20, minGapMs: 1000, maxRetries: 3, maxWaitSeconds: 900 },
+        confirmBulkSends: { aboveTargets: 10, timeoutSeconds: 120 },
+        unauthorizedReply: { mode: "ignore" },
+        ...config,
+      },
+      dataDir,
+      roleSeed: { owners: [OWNER] },
+    });
+    started.listen();
+    return started;
+  };
+
+  beforeEach(() => {
+    mock.timers.enable({ apis: ["setTimeout", "Date"], now: Date.UTC(2026, 0, 5, 12, 0) });
+    mock.method(console, "log", () => {});
+    dataDir = fs.mkdtempSync(path.join(os.tmpdir(), "tgbot-test-"));
+    telegram = createAccount();
+    bot = startBot();
+  });
+
+  afterEach(() => {
+    bot.jobs.stopAll();
+    mock.timers.reset();
+    mock.restoreAll();
+    fs.rmSync(dataDir, { recursive: true, force: true });
+  });
+
+  describe("/send", () => {
+    it("sends to one group and confirms", async () => {
+      await command("/send @alpha Hello there");
+
+      assert.deepEqual(texts("@alpha"), ["Hello there"]);
+      assert.equal(lastReply(), "✓ Message sent to @alpha (run 1)");
+      assert.equal(bot.deliveryLog.read()[0].outcome, "sent");
+    });
+
+    it("reports write-forbidden errors", async () => {
+      telegram.failNext("@alpha", "CHAT_WRITE_FORBIDDEN");
+      await command("/send @alpha Hello");
+
+      assert.deepEqual(texts("@alpha"), []);
+      assert.match(lastReply(), /✗ @alpha — CHAT_WRITE_FORBIDDEN/);
+      assert.equal(bot.deliveryLog.read()[0].error, "CHAT_WRITE_FORBIDDEN");
+    });
+
+    it("waits out a FloodWait and retries", async () => {
+      telegram.failNext("@alpha", "FLOOD_WAIT_30");
+      const done = telegram.receive({ from: OWNER, text: "/send @alpha Hello" });
+      await advance(20000);
+      assert.deepEqual(texts("@alpha"), []);
+
+      await advance(15000);
+      await done;
+      assert.deepEqual(texts("@alpha"), ["Hello"]);
+      assert.equal(lastReply(), "✓ Message sent to @alpha (run 1)");
+    });
+
+    it("only attaches local files from the media folder", async () => {
+      const mediaDir = path.join(dataDir, "media");
+      fs.mkdirSync(mediaDir);
+      fs.writeFileSync(path.join(mediaDir, "banner.jpg"), "jpg");
+      fs.writeFileSync(path.join(dataDir, "secret.txt"), "API_HASH=x");
+      fs.symlinkSync(path.join(dataDir, "secret.txt"), path.join(mediaDir, "link.txt"));
+      bot.config.mediaDir = mediaDir;
+
+      await command("/send @alpha --file=banner.jpg Hi");
+      assert.equal(telegram.messagesIn("@alpha")[0].file, fs.realpathSync(path.join(mediaDir, "banner.jpg")));
+
+      for (const file of ["../secret.txt", path.join(dataDir, "secret.txt"), "link.txt"]) {
+        await command(`/send @alpha --file=${file} Hi`);
+        assert.match(lastReply(), /is not a file in the media folder/);
+      }
+      assert.equal(telegram.messagesIn("@alpha").length, 1);
+    });
+
+    it("waits for /confirm when a #tag expands to more groups than the limit", async () => {
+      telegram = createAccount();
+      bot = startBot({ config: { confirmBulkSends: { aboveTargets: 2, timeoutSeconds: 120 } } });
+      for (const alias of ["alpha", "beta", "gamma"]) {
+        bot.groupRegistry.add(alias, `@${alias}`);
+        bot.groupRegistry.tag(alias, "all");
+      }
+
+      await command("/send #all Hello");
+      assert.deepEqual(texts("@alpha"), []);
+      const [, token] = lastReply().match(/Send \/confirm ([0-9a-f]+)/);
+
+      await command(`/confirm ${token}`, { ms: 10000 });
+      assert.deepEqual(["@alpha", "@beta", "@gamma"].map((target) => texts(target)), [["Hello"], ["Hello"], ["Hello"]]);
+    });
+
+    it("ignores users without a role", async () => {
+      await command("/send @alpha Hello", { from: STRANGER });
+
+      assert.deepEqual(texts("@alpha"), []);
+      assert.deepEqual(texts(STRANGER), []);
+    });
+  });
+
+  describe("/sendmulti", () => {
+    it("sends to every group with the configured delay in between", async () => {
+      const done = telegram.receive({ from: OWNER, text: "/sendmulti @alpha @beta @gamma | Hi all" });
+      await flush();
+      assert.deepEqual(texts("@alpha"), ["Hi all"]);
+      assert.deepEqual(texts("@beta"), []);
+
+      await advance(5000);
+      assert.deepEqual(texts("@beta"), ["Hi all"]);
+      assert.deepEqual(texts("@gamma"), []);
+
+      await advance(5000);
+      await done;
+      assert.deepEqual(texts("@gamma"), ["Hi all"]);
+      // The progress message is edited into the summary
+      assert.equal(lastReply(), "✓ Sent to 3 of 3 groups\nRun 1: /unsend 1 to delete it, /editsent 1 <text> to fix it");
+    });
+
+    it("skips groups that fail the pre-flight check and lists failures", async () => {
+      telegram.failNext("@beta", "CHAT_WRITE_FORBIDDEN");
+      await command("/sendmulti @alpha @beta @oldgroup | Hi", { ms: 10000 });
+
+      assert.deepEqual(texts("@alpha"), ["Hi"]);
+      assert.deepEqual(texts("@oldgroup"), []);
+      const summary = lastReply();
+      assert.match(summary, /Sent to 1 of 3 groups \(1 failed, 1 skipped\)/);
+      assert.match(summary, /✗ @oldgroup — not a member/);
+      assert.match(summary, /✗ @beta — CHAT_WRITE_FORBIDDEN/);
+    });
+
+    it("previews without sending on --dry-run", async () => {
+      await command("/sendmulti --dry-run @alpha @beta | Hi");
+
+      assert.deepEqual(texts("@alpha"), []);
+      assert.match(lastReply(), /Dry run, nothing was sent/);
+      assert.match(lastReply(), /Targets \(2 of 2 sendable\)/);
+    });
+  });
+
+  describe("/autosend and /stoptimers", () => {
+    it("sends on every interval until the timers are stopped", async () => {
+      await command("/autosend @alpha @beta | 1m | Ping");
+      assert.match(lastReply(), /Auto-send job #1 started to 2 groups/);
+      assert.equal(bot.jobs.list().length, 1);
+      assert.deepEqual(texts("@alpha"), []);
+
+      await advance(60000 + 5000);
+      assert.deepEqual(texts("@alpha"), ["Ping"]);
+      assert.deepEqual(texts("@beta"), ["Ping"]);
+
+      await advance(60000);
+      assert.deepEqual(texts("@alpha"), ["Ping", "Ping"]);
+      assert.equal(bot.jobs.list()[0].lastResult.sent, 2);
+
+      await command("/stoptimers");
+      assert.equal(lastReply(), "✓ All auto-send timers stopped.");
+      assert.deepEqual(bot.jobs.list(), []);
+
+      await advance(3 * 60000);
+      assert.equal(texts("@alpha").length, 2);
+    });
+
+    it("pauses targets that can no longer be sent to", async () => {
+      await command("/autosend @alpha @oldgroup | 1m | Ping");
+      await advance(61000);
+
+      assert.deepEqual(texts("@alpha"), ["Ping"]);
+      const [job] = bot.jobs.list();
+      assert.deepEqual(job.pausedTargets.map((entry) => entry.target), ["@oldgroup"]);
+      assert.match(lastReply(), /paused targets it can no longer send to/);
+    });
+
+    it("waits out a short FloodWait during the pre-flight check", async () => {
+      await command("/autosend @alpha @beta | 1m | Ping");
+      telegram.failNextCheck("@alpha", "FLOOD_WAIT_5");
+      await advance(61000 + 10000);
+
+      assert.deepEqual(texts("@alpha"), ["Ping"]);
+      assert.deepEqual(texts("@beta"), ["Ping"]);
+      assert.deepEqual(bot.jobs.list()[0].pausedTargets, []);
+    });
+
+    it("skips targets that couldn't be checked for one tick only", async () => {
+      await command("/autosend @alpha @beta | 1m | Ping");
+      telegram.failNextCheck("@alpha", "RPC_CALL_FAIL");
+      await advance(61000);
+
+      assert.deepEqual(texts("@alpha"), []);
+      assert.deepEqual(texts("@beta"), ["Ping"]);
+      assert.deepEqual(bot.jobs.list()[0].pausedTargets, []);
+
+      await advance(60000);
+      assert.deepEqual(texts("@alpha"), ["Ping"]);
+    });
+  });
+
+  describe("/killswitch", () => {
+    it("refuses new sends and skips job runs until it is turned off", async () => {
+      await command("/autosend @alpha | 1m | Ping");
+      await command("/killswitch on");
+      assert.match(lastReply(), /Kill switch on/);
+
+      await command("/send @alpha Hello");
+      assert.match(lastReply(), /Sending is stopped by the kill switch/);
+      await advance(61000);
+      assert.deepEqual(texts("@alpha"), []);
+      assert.equal(bot.jobs.list()[0].lastResult.sent, 0);
+
+      await command("/killswitch off");
+      await command("/send @alpha Hello");
+      assert.deepEqual(texts("@alpha"), ["Hello"]);
+      await advance(60000);
+      assert.deepEqual(texts("@alpha"), ["Hello", "Ping"]);
+    });
+
+    it("stops a send in progress before its next message", async () => {
+      const done = telegram.receive({ from: OWNER, text: "/sendmulti @alpha @beta @gamma | Hi" });
+      await flush();
+      await command("/killswitch on");
+      await advance(10000);
+      await done;
+
+      assert.deepEqual(texts("@alpha"), ["Hi"]);
+      assert.deepEqual(texts("@beta"), []);
+      // The progress message came before the /killswitch reply
+      assert.match(texts(OWNER).at(-2), /Cancelled after 1 of 3 groups/);
+    });
+
+    it("stays on across restarts", async () => {
+      await command("/killswitch on");
+      const restarted = createBot({ client: telegram, config: { ...bot.config, autoMessageEnabled: true }, dataDir, roleSeed: { owners: [OWNER] } });
+
+      assert.equal(restarted.killSwitch.enabled(), false);
+    });
+
+    it("gives way to a config that was changed before a restart", async () => {
+      await command("/killswitch off");
+      const restarted = createBot({ client: telegram, config: { ...bot.config, autoMessageEnabled: false }, dataDir, roleSeed: { owners: [OWNER] } });
+
+      assert.equal(restarted.killSwitch.enabled(), false);
+      assert.equal(restarted.killSwitch.saved, null);
+    });
+  });
+
+  describe("/unsend and /editsent", () => {
+    it("deletes what a run sent and reports every group", async () => {
+      await command("/sendmulti @alpha @beta @gamma | Oops", { ms: 10000 });
+      await command("/send @alpha Keep this", { ms: 5000 });
+      telegram.failNext("@gamma", "MESSAGE_DELETE_FORBIDDEN");
+
+      await command("/unsend 1", { ms: 5000 });
+      assert.deepEqual(texts("@alpha"), ["Keep this"]);
+      assert.deepEqual(texts("@beta"), []);
+      assert.deepEqual(texts("@gamma"), ["Oops"]);
+      assert.equal(lastReply(), [
+        "⚠️ Deleted run 1 from 2 of 3 groups",
+        "✓ @alpha — 1 message deleted",
+        "✓ @beta — 1 message deleted",
+        "✗ @gamma — MESSAGE_DELETE_FORBIDDEN",
+      ].join("\n"));
+
+      await command("/unsend 1", { ms: 5000 });
+      assert.match(lastReply(), /✓ @beta — already deleted/);
+    });
+
+    it("deletes forwarded messages", async () => {
+      await command("/send @alpha Original");
+      const [original] = telegram.messagesIn("@alpha");
+
+      await command("/sendmulti @beta @gamma |--forward", { replyTo: original, ms: 10000 });
+      assert.deepEqual(bot.sentMessages({ runId: 2 }).map((sent) => sent.messageIds.length), [1, 1]);
+
+      await command("/unsend 2", { ms: 5000 });
+      assert.deepEqual(texts("@beta"), []);
+      assert.deepEqual(texts("@gamma"), []);
+      assert.match(lastReply(), /Deleted run 2 from 2 of 2 groups\n✓ @beta — 1 message deleted\n✓ @gamma — 1 message deleted/);
+    });
+
+    it("deletes the last runs of a job", async () => {
+      await command("/autosend name=promo @alpha | 1m | Ping");
+      await advance(3 * 60000);
+      assert.equal(texts("@alpha").length, 3);
+
+      await command("/unsend job promo last 2", { ms: 5000 });
+      assert.deepEqual(texts("@alpha"), ["Ping"]);
+      assert.match(lastReply(), /Deleted the last 2 runs of job #1 "promo" from 1 of 1 groups\n✓ @alpha — 2 messages deleted/);
+
+      await command("/unsend 99");
+      assert.equal(lastReply(), "📭 No sent messages found for run 99.");
+    });
+
+    it("edits what a run sent with variables filled in per group", async () => {
+      await command("/sendmulti @alpha @beta | Helo {group_title}", { ms: 5000 });
+      await command("/editsent 1 Hello {group_title}", { ms: 5000 });
+
+      assert.deepEqual(texts("@alpha"), ["Hello Alpha"]);
+      assert.deepEqual(texts("@beta"), ["Hello Beta"]);
+      assert.match(lastReply(), /✏️ Edited run 1 in 2 of 2 groups\n✓ @alpha\n✓ @beta/);
+
+      await command("/editsent 1 Hello {group_title}", { ms: 5000 });
+      assert.match(lastReply(), /✓ @alpha — unchanged/);
+    });
+
+    it("keeps run IDs unique across restarts", async () => {
+      await command("/send @alpha One");
+      const restarted = createBot({ client: telegram, config: bot.config, dataDir, roleSeed: { owners: [OWNER] } });
+      const result = await restarted.sendToTargets(["@beta"], "Two");
+
+      assert.equal(result.runId, 2);
+      assert.deepEqual(restarted.sentMessages({ runId: 1 }).map((sent) => sent.target), ["@alpha"]);
+    });
+  });
+
+  describe("shutdown", () => {
+    const restart = () => createBot({ client: telegram, config: bot.config, dataDir, roleSeed: { owners: [OWNER] } });
+
+    it("interrupts a bulk send after the current message and resumes it after a restart", async () => {
+      const done = telegram.receive({ from: OWNER, text: "/sendmulti @alpha @beta @gamma | Hi" });
+      await flush();
+      const stopped = bot.shutdown(10000);
+      await advance(1000);
+      await done;
+
+      assert.equal(await stopped, true);
+      assert.deepEqual(texts("@beta"), []);
+      assert.match(lastReply(), /⏸ Interrupted by a restart after 1 of 3 groups \(1 sent\)\nThe other groups get it once the bot is back/);
+
+      restart().resumeInterruptedRuns();
+      await advance(10000);
+      assert.deepEqual(texts("@alpha"), ["Hi"]);
+      assert.deepEqual(texts("@beta"), ["Hi"]);
+      assert.deepEqual(texts("@gamma"), ["Hi"]);
+      assert.match(lastReply(), /\/sendmulti to 3 groups was resumed after a restart\.\n✓ Sent to 3 of 3 groups\nRun 1:/);
+    });
+
+    it("finishes an auto-send tick at its next target, keeping it in the job's runs", async () => {
+      await command("/autosend @alpha @beta | 1m | Ping");
+      await advance(60000);
+      assert.deepEqual(texts("@alpha"), ["Ping"]);
+      await bot.shutdown(10000);
+      assert.deepEqual(texts("@beta"), []);
+
+      const restarted = restart();
+      restarted.resumeInterruptedRuns();
+      await advance(5000);
+      assert.deepEqual(texts("@alpha"), ["Ping"]);
+      assert.deepEqual(texts("@beta"), ["Ping"]);
+      assert.deepEqual(restarted.sentMessages({ jobId: 1 }).map((sent) => sent.target), ["@alpha", "@beta"]);
+    });
+
+    it("turns away new commands", async () => {
+      await bot.shutdown(10000);
+      await command("/send @alpha Hello");
+      await command("/send @alpha Hello", { from: STRANGER });
+
+      assert.deepEqual(texts("@alpha"), []);
+      assert.equal(lastReply(), "♻️ The bot is restarting. Send the command again in a minute.");
+      assert.deepEqual(texts(STRANGER), []);
+    });
+  });
+
+  describe("control bot", () => {
+    let control;
+
+    // Commands and button presses go to the control bot instead of the account
+    const tell = async (text, { from = OWNER, chatId = from, replyTo, ms = 0 } = {}) => {
+      const done = control.receive({ from, text, chatId, replyTo });
+      await flush();
+      if (ms) await advance(ms);
+      await done;
+    };
+    const press = async (data) => {
+      const done = control.press({ from: OWNER, data });
+      await flush();
+      await done;
+    };
+    const lastAnswer = () => control.messagesIn(OWNER).at(-1);
+
+    beforeEach(() => {
+      bot.jobs.stopAll();
+      telegram = createAccount();
+      control = createFakeTelegram({ me: { id: 2000, firstName: "Control" } });
+      bot = startBot({ controlClient: control, config: { confirmBulkSends: { aboveTargets: 2, timeoutSeconds: 120 } } });
+    });
+
+    it("takes commands in private chats only and sends from the account", async () => {
+      await command("/send @alpha To the account");
+      await tell("/send @alpha In a group", { chatId: -100555 });
+      assert.deepEqual(texts("@alpha"), []);
+      assert.deepEqual(texts(OWNER), []);
+
+      await tell("/send @alpha Hello");
+      assert.deepEqual(texts("@alpha"), ["Hello"]);
+      assert.equal(lastAnswer().text, "✓ Message sent to @alpha (run 1)");
+    });
+
+    it("pauses and resumes jobs from the /jobs buttons", async () => {
+      await tell("/autosend @alpha | 1h | Ping");
+      await tell("/jobs");
+      assert.deepEqual(control.buttonsOf(lastAnswer()), [
+        [{ text: "⏸ Pause #1", data: "/pause 1" }],
+        [{ text: "🔄 Refresh", data: "/jobs" }],
+      ]);
+
+      await press("/pause 1");
+      assert.equal(bot.jobs.get(1).status, "paused");
+      assert.deepEqual(control.buttonsOf(lastAnswer()), [[{ text: "▶️ Resume #1", data: "/resume 1" }]]);
+
+      await press("/resume 1");
+      assert.equal(bot.jobs.get(1).status, "active");
+    });
+
+    it("confirms or drops a bulk send with its buttons", async () => {
+      await tell("/sendmulti @alpha @beta @gamma | Hi all");
+      const [[goAhead, cancel]] = control.buttonsOf(lastAnswer());
+      assert.equal(goAhead.text, "✅ Go ahead");
+      assert.match(cancel.data, /^\/confirm [0-9a-f]{6} cancel$/);
+
+      await press(cancel.data);
+      assert.equal(lastAnswer().text, "✖️ Dropped the send, nothing was sent.");
+      await press(goAhead.data);
+      assert.match(lastAnswer().text, /Nothing to confirm/);
+
+      await tell("/sendmulti @alpha @beta @gamma | Hi all");
+      const done = control.press({ from: OWNER, data: control.buttonsOf(lastAnswer())[0][0].data });
+      await flush();
+      await advance(10000);
+      await done;
+      assert.deepEqual(texts("@gamma"), ["Hi all"]);
+    });
+
+    it("refuses to send or save a replied-to message from its chat", async () => {
+      const replyTo = { id: 7, chatId: OWNER, text: "Promo", media: { className: "MessageMediaPhoto" } };
+
+      await tell("/template save promo", { replyTo });
+      assert.match(lastAnswer().text, /Replied-to messages can only be sent or saved/);
+      assert.equal(bot.templates.get("promo"), null);
+
+      await tell("/send @alpha", { replyTo });
+      assert.match(lastAnswer().text, /Replied-to messages can only be sent or saved/);
+      assert.deepEqual(texts("@alpha"), []);
+    });
+
+    it("offers read-only commands as buttons in /help", async () => {
+      await tell("/help");
+      const buttons = control.buttonsOf(lastAnswer()).flat().map((button) => button.data);
+
+      assert.ok(buttons.includes("/jobs"));
+      assert.ok(!buttons.includes("/stoptimers"));
+      assert.match(lastAnswer().text, /Tap a button to run a command/);
+    });
+  });
+
+  describe("config reload", () => {
+    it("applies settings that are read when used and lists the rest", async () => {
+      const restartNeeded = bot.applyConfig({
+        ...bot.config,
+        messageDelay: 1000,
+        targetGroups: ["@beta"],
+        confirmBulkSends: { aboveTargets: 1, timeoutSeconds: 60 },
+        watchdog: { intervalSeconds: 30, timeoutSeconds: 15, maxBackoffSeconds: 300 },
+      });
+
+      assert.deepEqual(restartNeeded, ["watchdog"]);
+      assert.equal(bot.config.messageDelay, 1000);
+      assert.equal(bot.groupRegistry.aliasOf("@beta"), "beta");
+      assert.equal(bot.confirmations.required(2), true);
+      assert.equal(bot.confirmations.timeoutSeconds, 60);
+    });
+
+    it("lets a changed autoMessageEnabled replace the last /killswitch decision", async () => {
+      const fileConfig = { ...bot.config, autoMessageEnabled: true };
+      await command("/killswitch on");
+
+      // An unrelated edit leaves the switch alone
+      bot.applyConfig({ ...fileConfig, messageDelay: 1000 });
+      assert.equal(bot.killSwitch.enabled(), false);
+      assert.ok(bot.killSwitch.saved);
+
+      bot.applyConfig({ ...fileConfig, messageDelay: 1000, autoMessageEnabled: false });
+      assert.equal(bot.killSwitch.enabled(), false);
+      assert.equal(bot.killSwitch.saved, null);
+
+      bot.applyConfig({ ...fileConfig, messageDelay: 1000, autoMessageEnabled: true });
+      assert.equal(bot.killSwitch.enabled(), true);
+    });
+  });
+
+  describe("/has", () => {
+    it("lists the groups the account is in and registers aliases", async () => {
+      await command("/has");
+
+      const list = lastReply();
+      assert.match(list, /Your Groups & Channels\*\* \(3\)/);
+      for (const title of ["Alpha", "Beta", "Gamma"]) assert.match(list, new RegExp(title));
+      assert.doesNotMatch(list, /Old Group/);
+
+      // The registered alias works as a target
+      await command("/send gamma Via alias");
+      assert.deepEqual(texts("@gamma"), ["Via alias"]);
+    });
+  });
+});
@@ -0,0 +1,116 @@
+import { afterEach, beforeEach, describe, it, mock } from "node:test";
+import assert from "node:assert/strict";
+import * as fs from "fs";
+import * as os from "os";
+import * as path from "path";
+import { ConfigError, loadConfig } from "../src/configLoader.js";
+
+const env = { API_ID: "12345", API_HASH: "abcdef" };
+
+describe("loadConfig", () => {
+  let dir;
+  let file;
+
+  // Write a config module based on the default config.js with some settings replaced
+  const writeConfig = (changes = "") => {
+    const source = fs.readFileSync(new URL("../config.js", import.meta.url), "utf-8");
+    fs.writeFileSync(file, `${source}\n${changes}\n`);
+  };
+
+  beforeEach(() => {
+    dir = fs.mkdtempSync(path.join(os.tmpdir(), "tgbot-config-"));
+    file = path.join(dir, "config.mjs");
+    writeConfig();
+  });
+
+  afterEach(() => {
+    fs.rmSync(dir, { recursive: true, force: true });
+  });
+
+  it("loads the default config with credentials from the environment", async () => {
+    const config = await loadConfig({ file, env });
+
+    assert.equal(config.apiId, 12345);
+    assert.equal(config.apiHash, "abcdef");
+    assert.equal(config.autoMessageEnabled, true);
+    assert.equal(config.healthCheck.enabled, false);
+  });
+
+  it("applies env over the file and --set over env", async () => {
+    const config = await loadConfig({
+      file,
+      env: { ...env, MESSAGE_DELAY: "2000", TARGET_GROUPS: "@one, -1001234", OWNER_IDS: "42 43", PORT: "9000", BOT_TOKEN: "123456:abc-DEF" },
+      argv: ["--set", "messageDelay=3000", "--set=sendLimits.maxPerMinute=5", "--set", "autoMessageEnabled=off"],
+    });
+
+    assert.equal(config.messageDelay, 3000);
+    assert.equal(config.sendLimits.maxPerMinute, 5);
+    assert.equal(config.autoMessageEnabled, false);
+    assert.deepEqual(config.targetGroups, ["@one", -1001234]);
+    assert.deepEqual(config.roles.owners.slice(-2), [42, 43]);
+    assert.equal(config.healthCheck.enabled, true);
+    assert.equal(config.healthCheck.port, 9000);
+    assert.deepEqual(config.controlBot, { enabled: true, token: "123456:abc-DEF" });
+  });
+
+  it("reports every problem at once", async () => {
+    writeConfig("config.autoSendCatchUp = \"always\";\nconfig.messageDelai = 10;");
+    await assert.rejects(
+      loadConfig({ file, env: { API_ID: "abc", ADMIN_API_PORT: "99999" }, argv: ["--set", "timezone=Mars/Base"] }),
+      (error) => {
+        assert.ok(error instanceof ConfigError);
+        assert.deepEqual(error.problems, [
+          "messageDelai: unknown setting",
+          "apiId: must be a whole number of 1 or more (got \"abc\")",
+          "apiHash: is missing (set API_HASH in .env)",
+          "autoSendCatchUp: must be one of \"skip\", \"once\" (got \"always\")",
+          "timezone: is not a known IANA timezone (e.g. Europe/London) (got \"Mars/Base\")",
+          "adminApi.port: must be a whole number from 0 to 65535 (got 99999)",
+        ]);
+        return true;
+      },
+    );
+  });
+
+  it("rejects unknown --set settings and settings that need a value", async () => {
+    await assert.rejects(loadConfig({ file, env, argv: ["--set", "nope=1", "--set", "sendLimits=1"] }), (error) => {
+      assert.deepEqual(error.problems, [
+        "--set nope=1: unknown setting",
+        "--set sendLimits=1: use --set <setting>=<value>",
+      ]);
+      return true;
+    });
+  });
+
+  it("checks settings that depend on each other", async () => {
+    await assert.rejects(loadConfig({ file, env, argv: ["--set", "adminApi.enabled=true"] }), (error) => {
+      assert.deepEqual(error.problems, ["adminApi.token: is required when the admin API is enabled (or set ADMIN_API_TOKEN)"]);
+      return true;
+    });
+  });
+
+  it("loads config files from older versions with defaults for newer settings", async () => {
+    fs.writeFileSync(file, `export const config = {
+      targetGroups: ["@one"],
+      autoMessages: ["Hey!"],
+      messageDelay: 3000,
+      autoMessageEnabled: true,
+      sessionDir: "./session",
+    };`);
+    const log = mock.method(console, "log", () => {});
+    const config = await loadConfig({ file, env });
+    mock.restoreAll();
+
+    assert.equal(config.messageDelay, 3000);
+    assert.equal("autoMessages" in config, false);
+    assert.deepEqual(config.sendLimits, { maxPerMinute: 20, minGapMs: 1000, maxRetries: 3, maxWaitSeconds: 900 });
+    assert.equal(config.controlBot.enabled, false);
+    assert.match(log.mock.calls[0].arguments[0], /autoMessages in config\.mjs is no longer used/);
+  });
+
+  it("sees changes to the file when loaded again", async () => {
+    assert.equal((await loadConfig({ file, env })).messageDelay, 5000);
+    writeConfig("config.messageDelay = 1500;");
+    assert.equal((await loadConfig({ file, env })).messageDelay, 1500);
+  });
+});
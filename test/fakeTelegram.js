@@ -0,0 +1,240 @@
+/**
+ * In-memory Telegram transport for tests
+ * Implements the Transport interface (src/transport.js) with chats that live in
+ * memory: records every message sent, edited or deleted, resolves entities and dialogs,
+ * delivers incoming commands and button presses to the bot and injects RPC
+ * errors on demand. A second fake with another `me` stands in for the control bot.
+ */
+
+import { Api, errors, helpers, utils } from "telegram";
+import { CallbackQuery } from "telegram/events/CallbackQuery.js";
+
+const bigInt = helpers.returnBigInt;
+
+/**
+ * @param {{ me?: { id: number, firstName: string } }} [options]
+ */
+export function createFakeTelegram({ me = { id: 1000, firstName: "Bot" } } = {}) {
+  const chats = new Map(); // peer ID -> entity
+  const messages = []; // every message sent, in order: { id, chatId, text, file, parseMode, buttons, edits }
+  const failures = new Map(); // peer ID -> [errorMessage, ...] for the next sends, edits or deletes
+  const checkFailures = new Map(); // peer ID -> [errorMessage, ...] for the next pre-flight calls
+  const handlers = []; // { handler, builder }
+  let nextMessageId = 1;
+  let online = true;
+
+  const peerKey = (peer) => String(typeof peer === "object" && peer.className ? utils.getPeerId(peer) : peer);
+
+  const findChat = (target) => {
+    const key = String(target);
+    if (chats.has(key)) return chats.get(key);
+    const username = key.replace(/^@/, "").toLowerCase();
+    return [...chats.values()].find((entity) => entity.username?.toLowerCase() === username);
+  };
+
+  // Telegram's error for a raw message like "FLOOD_WAIT_30", as GramJS raises it
+  const rpcError = (errorMessage) => errors.RPCMessageToError({ errorMessage, errorCode: 400 }, undefined);
+
+  const checkOnline = () => {
+    if (!online) throw new Error("Not connected");
+  };
+
+  const failQueued = (chatId) => {
+    const queued = failures.get(chatId);
+    if (queued?.length) throw rpcError(queued.shift());
+  };
+
+  const record = (peer, fields) => {
+    checkOnline();
+    const chatId = peerKey(peer);
+    failQueued(chatId);
+
+    const message = { id: nextMessageId++, chatId, peerId: chatId, edits: 0, ...fields };
+    messages.push(message);
+    return message;
+  };
+
+  return {
+    get connected() {
+      return online;
+    },
+
+    // --- test controls ---
+
+    /**
+     * Add a chat the account is in (or has left) and return its entity
+     * @param {{ id: number, title: string, username?: string, type?: "supergroup"|"channel"|"group",
+     *   left?: boolean, admin?: boolean }} chat
+     */
+    addChat({ id, title, username, type = "supergroup", left = false, admin = false }) {
+      const entity = type === "group"
+        ? new Api.Chat({ id: bigInt(id), title, photo: new Api.ChatPhotoEmpty(), participantsCount: 2, date: 0, version: 0, left })
+        : new Api.Channel({
+          id: bigInt(id),
+          title,
+          username,
+          accessHash: bigInt(id),
+          photo: new Api.ChatPhotoEmpty(),
+          date: 0,
+          megagroup: type === "supergroup",
+          broadcast: type === "channel",
+          left,
+          creator: admin,
+        });
+      chats.set(peerKey(entity), entity);
+      return entity;
+    },
+
+    // Fail the next `times` sends, edits or deletes in a chat with an RPC error such as CHAT_WRITE_FORBIDDEN or FLOOD_WAIT_30
+    failNext(target, errorMessage, times = 1) {
+      const key = peerKey(findChat(target) || target);
+      failures.set(key, [...(failures.get(key) || []), ...Array(times).fill(errorMessage)]);
+    },
+
+    // Fail the next `times` pre-flight calls (GetParticipant, GetFullChannel) for a chat
+    failNextCheck(target, errorMessage, times = 1) {
+      const key = peerKey(findChat(target) || target);
+      checkFailures.set(key, [...(checkFailures.get(key) || []), ...Array(times).fill(errorMessage)]);
+    },
+
+    // Simulate a dropped connection; every call fails until setOnline(true)
+    setOnline(value) {
+      online = value;
+    },
+
+    /** Messages sent to a chat (by peer ID, @username or user ID), oldest first */
+    messagesIn(target) {
+      const key = peerKey(findChat(target) || target);
+      return messages.filter((message) => message.chatId === key);
+    },
+
+    messages,
+
+    /**
+     * Deliver an incoming message to the bot's handlers; resolves once they are done
+     * @param {{ from: number, text: string, chatId?: number, replyTo?: object }} message - a chatId other
+     *   than `from` is a group; replyTo is the message it replies to
+     */
+    async receive({ from, text, chatId = from, replyTo = null }) {
+      const msg = {
+        id: nextMessageId++,
+        senderId: from,
+        chatId,
+        text,
+        message: text,
+        out: false,
+        isPrivate: chatId === from,
+        isReply: Boolean(replyTo),
+        getReplyMessage: async () => replyTo,
+        respond: (params) => this.sendMessage(chatId, params),
+      };
+      const listeners = handlers.filter(({ builder }) => !(builder instanceof CallbackQuery));
+      await Promise.all(listeners.map(({ handler }) => handler({ message: msg })));
+    },
+
+    /**
+     * Press an inline button in the private chat with `from`; resolves once the handlers are done
+     * @param {{ from: number, data: string }} press
+     */
+    async press({ from, data }) {
+      const event = { data: Buffer.from(data), senderId: from, chatId: from, answer: async () => true };
+      const listeners = handlers.filter(({ builder }) => builder instanceof CallbackQuery);
+      await Promise.all(listeners.map(({ handler }) => handler(event)));
+    },
+
+    // The buttons of a sent message as rows of { text, data }
+    buttonsOf(message) {
+      return (message.buttons || []).map((row) => row.map((button) => ({ text: button.text, data: button.data.toString() })));
+    },
+
+    // --- Transport ---
+
+    async connect() {
+      checkOnline();
+    },
+
+    async disconnect() {},
+
+    async getMe() {
+      checkOnline();
+      return new Api.User({ id: bigInt(me.id), firstName: me.firstName, self: true });
+    },
+
+    async getEntity(target) {
+      checkOnline();
+      if (Array.isArray(target)) return target.map((entity) => chats.get(peerKey(entity)) || entity);
+      const entity = findChat(target);
+      if (!entity) throw new Error(`Cannot find any entity corresponding to "${target}"`);
+      return entity;
+    },
+
+    async getDialogs({ limit = 100 } = {}) {
+      checkOnline();
+      return [...chats.values()].filter((entity) => !entity.left).slice(0, limit).map((entity) => ({ entity }));
+    },
+
+    async getMessages(peer, { ids }) {
+      checkOnline();
+      const key = peerKey(peer);
+      return ids.map((id) => messages.find((message) => message.chatId === key && message.id === id));
+    },
+
+    async sendMessage(peer, { message, parseMode, buttons }) {
+      return record(peer, { text: typeof message === "string" ? message : message.text, parseMode, buttons });
+    },
+
+    async sendFile(peer, { file, caption = "", parseMode }) {
+      return record(peer, { text: Array.isArray(caption) ? caption.join("\n") : caption, file, parseMode });
+    },
+
+    // Like GramJS: one array of forwarded messages per source chat
+    async forwardMessages(peer, { messages: ids, fromPeer }) {
+      const sources = await this.getMessages(fromPeer, { ids });
+      return [sources.map((source) => record(peer, { text: source?.text || "", forwardedFrom: peerKey(fromPeer) }))];
+    },
+
+    async editMessage(peer, { message: id, text }) {
+      checkOnline();
+      failQueued(peerKey(peer));
+      const message = messages.find((m) => m.chatId === peerKey(peer) && m.id === id);
+      if (!message) throw rpcError("MESSAGE_ID_INVALID");
+      if (message.text === text) throw rpcError("MESSAGE_NOT_MODIFIED");
+      message.text = text;
+      message.edits++;
+      return message;
+    },
+
+    // Deleted messages are removed; ptsCount counts those that still existed
+    async deleteMessages(peer, ids) {
+      checkOnline();
+      const chatId = peerKey(peer);
+      failQueued(chatId);
+      let ptsCount = 0;
+      for (const id of ids) {
+        const i = messages.findIndex((m) => m.chatId === chatId && m.id === id);
+        if (i === -1) continue;
+        messages.splice(i, 1);
+        ptsCount++;
+      }
+      return [{ ptsCount }];
+    },
+
+    // Pre-flight checks: the account is a plain member of every channel
+    async invoke(request) {
+      checkOnline();
+      const queued = request.channel && checkFailures.get(peerKey(request.channel));
+      if (queued?.length) throw rpcError(queued.shift());
+      if (request.className === "channels.GetParticipant") {
+        return { participant: { className: "ChannelParticipantSelf" } };
+      }
+      if (request.className === "channels.GetFullChannel") {
+        return { fullChat: { slowmodeSeconds: 0, slowmodeNextSendDate: 0 } };
+      }
+      throw new Error(`The fake transport doesn't support ${request.className}`);
+    },
+
+    addEventHandler(handler, builder) {
+      handlers.push({ handler, builder });
+    },
+  };
+}